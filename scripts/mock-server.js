@@ -0,0 +1,160 @@
+// Local stand-in for the voice agent backend.
+//
+//   npm run mock-server            # listens on http://localhost:5000
+//   PORT=5050 npm run mock-server
+//
+// Implements /api/chat (JSON or SSE when the request has `stream: true`), /api/summary,
+// /api/email, /api/metrics (logs each batch), /api/transcribe (canned transcripts) and /api/tts
+// (a WAV tone per sentence), which is enough to exercise the remote speech engines without a
+// real backend.
+// Tests import createMockServer() and listen on a port of their own.
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const PORT = Number(process.env.PORT) || 5000;
+
+const REPLIES = [
+  'Hi, thanks for calling. I can help you with a mortgage today. Are you looking to buy a home or refinance?',
+  'Great. Roughly how much would you like to borrow?',
+  'Thanks. And what is your approximate annual income?',
+  'That is helpful. A loan officer will follow up with options by email. Goodbye!',
+];
+
+// Lead fields "learned" from the caller's previous answer, by reply index
+const LEAD_UPDATES = [
+  null,
+  { loanPurpose: 'purchase' },
+  { loanAmount: 400000 },
+  { annualIncome: 90000 },
+];
+
+const TRANSCRIPTS = [
+  'I want to buy a house',
+  'About four hundred thousand dollars',
+  'Around ninety thousand a year',
+];
+
+let transcribeCount = 0;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// 16 kHz mono PCM sine tone, long enough to feel like speech for the given text
+const toneWav = (text) => {
+  const rate = 16000;
+  const seconds = Math.min(8, 0.4 + text.length * 0.05);
+  const samples = Math.floor(rate * seconds);
+  const buf = Buffer.alloc(44 + samples * 2);
+  buf.write('RIFF', 0);
+  buf.writeUInt32LE(36 + samples * 2, 4);
+  buf.write('WAVE', 8);
+  buf.write('fmt ', 12);
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(rate, 24);
+  buf.writeUInt32LE(rate * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36);
+  buf.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) {
+    buf.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 220 * i) / rate) * 6000), 44 + i * 2);
+  }
+  return buf;
+};
+
+const handlers = {
+  async '/api/chat'(req, res) {
+    const body = JSON.parse((await readBody(req)).toString() || '{}');
+    // The greeting request has no assistant turns yet; every caller turn moves the script on
+    const messages = body.messages || [];
+    const callerTurns = messages.some(m => m.role === 'assistant')
+      ? messages.filter(m => m.role === 'user').length
+      : 0;
+    const index = Math.min(callerTurns, REPLIES.length - 1);
+    const reply = REPLIES[index];
+    const actions = [];
+    if (LEAD_UPDATES[index]) actions.push({ type: 'update_lead', fields: LEAD_UPDATES[index] });
+    if (index === REPLIES.length - 1) actions.push({ type: 'end_call' });
+
+    if (!body.stream) return sendJson(res, 200, { assistant: reply, actions });
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    for (const word of reply.split(/(?<=\s)/)) {
+      res.write(`data: ${JSON.stringify({ delta: word })}\n\n`);
+      await sleep(40);
+    }
+    res.write(`data: ${JSON.stringify({ done: true, actions })}\n\n`);
+    res.end();
+  },
+
+  async '/api/summary'(req, res) {
+    const { transcript = '' } = JSON.parse((await readBody(req)).toString() || '{}');
+    sendJson(res, 200, { summary: `Mock summary of a ${transcript.split('\n\n').length}-turn call.` });
+  },
+
+  async '/api/email'(req, res) {
+    const body = await readBody(req);
+    console.log(`email received (${body.length} bytes)`);
+    sendJson(res, 200, { ok: true });
+  },
+
+  async '/api/metrics'(req, res) {
+    const { callId, turns = [], report } = JSON.parse((await readBody(req)).toString() || '{}');
+    console.log(`metrics for ${callId}: ${turns.length} turn(s)${report ? ', final report' : ''}`);
+    sendJson(res, 200, { ok: true });
+  },
+
+  async '/api/transcribe'(req, res) {
+    await readBody(req);
+    const transcript = TRANSCRIPTS[transcribeCount++ % TRANSCRIPTS.length];
+    sendJson(res, 200, { transcript });
+  },
+
+  async '/api/tts'(req, res) {
+    const { text = '' } = JSON.parse((await readBody(req)).toString() || '{}');
+    res.writeHead(200, { 'Content-Type': 'audio/wav' });
+    res.end(toneWav(text));
+  },
+};
+
+// Every header the app sends has to be allowed here, or the browser blocks the request at preflight
+export const ALLOWED_HEADERS = ['Content-Type', 'Accept', 'Idempotency-Key'];
+
+export const createMockServer = () => http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS.join(', '));
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const handler = handlers[new URL(req.url, 'http://localhost').pathname];
+  if (!handler || req.method !== 'POST') return sendJson(res, 404, { error: 'Not found' });
+
+  try {
+    await handler(req, res);
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) sendJson(res, 500, { error: err.message });
+  }
+});
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createMockServer().listen(PORT, () => {
+    console.log(`mock backend listening on http://localhost:${PORT}`);
+  });
+}
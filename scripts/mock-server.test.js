@@ -0,0 +1,43 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+import { createMockServer } from './mock-server';
+
+describe('mock server', () => {
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    server = createMockServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  it('lets the browser send the email with its Idempotency-Key', async () => {
+    const res = await fetch(`${base}/api/email`, {
+      method: 'OPTIONS',
+      headers: {
+        Origin: 'http://localhost:5173',
+        'Access-Control-Request-Method': 'POST',
+        'Access-Control-Request-Headers': 'idempotency-key',
+      },
+    });
+
+    expect(res.status).toBe(204);
+    expect(res.headers.get('access-control-allow-origin')).toBe('*');
+    const allowed = res.headers.get('access-control-allow-headers').toLowerCase().split(/,\s*/);
+    expect(allowed).toEqual(expect.arrayContaining(['content-type', 'idempotency-key']));
+  });
+
+  it('accepts metrics batches', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const res = await fetch(`${base}/api/metrics`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ callId: 'call-1', turns: [{ index: 0, trigger: 'greeting' }] }),
+    });
+
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ ok: true });
+  });
+});
@@ -1,337 +1,263 @@
-import { useState, useEffect, useRef } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
-
-const API_BASE = 'https://agent.omnisuiteai.com';
-// const API_BASE = 'http://localhost:5000';
-
-
-function App() {
-  const [callActive, setCallActive]     = useState(false);
-  const [status, setStatus]             = useState('Ready to start');
-  const [recordingUrl, setRecordingUrl] = useState(null);
-
-  // Keep these for logic — but not displayed anymore
-  const transcriptLinesRef = useRef([]);     // we still collect for email
-  const summaryTextRef     = useRef('');     // we still collect for email
-
-  const recognitionRef     = useRef(null);
-  const mediaRecorderRef   = useRef(null);
-  const audioChunksRef     = useRef([]);
-  const messagesRef        = useRef([]);
-  const selectedVoiceRef   = useRef(null);
-  const isListeningRef     = useRef(false);
-  const isSpeakingRef      = useRef(false);
-  const callActiveRef      = useRef(false);
-
-  useEffect(() => { callActiveRef.current = callActive; }, [callActive]);
-
-  // Speech Recognition setup
-  useEffect(() => {
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) {
-      alert("Voice recognition is not supported in this browser.");
-      return;
-    }
-
-    const rec = new SpeechRecognition();
-    rec.continuous     = true;
-    rec.interimResults = false;
-    rec.lang           = 'en-US';
-    recognitionRef.current = rec;
-
-    return () => rec.abort?.();
-  }, []);
-
-  // TTS voice selection
-  useEffect(() => {
-    const loadVoices = () => {
-      const voices = window.speechSynthesis.getVoices();
-      selectedVoiceRef.current =
-        voices.find(v => /Google|Microsoft|Natural/i.test(v.name)) ||
-        voices[0] ||
-        null;
-    };
-
-    window.speechSynthesis.onvoiceschanged = loadVoices;
-    loadVoices();
-  }, []);
-
-  const speak = (text) => {
-    if (recognitionRef.current && isListeningRef.current) {
-      recognitionRef.current.stop?.();
-      isListeningRef.current = false;
-    }
-
-    isSpeakingRef.current = true;
-    setStatus('Speaking...');
-
-    const utter = new SpeechSynthesisUtterance(text);
-    if (selectedVoiceRef.current) utter.voice = selectedVoiceRef.current;
-     utter.rate  = 1.50;
-    utter.pitch = 1.0;
-
-    utter.onend = () => {
-      isSpeakingRef.current = false;
-      if (callActiveRef.current) {
-        setTimeout(startListeningIfNeeded, 320);
-      }
-      setStatus('Listening...');
-    };
-
-    utter.onerror = () => {
-      isSpeakingRef.current = false;
-      if (callActiveRef.current) startListeningIfNeeded();
-    };
-
-    window.speechSynthesis.speak(utter);
-
-    // Collect for email (not shown on UI)
-    transcriptLinesRef.current.push({ role: 'agent', text });
+import TranscriptPanel from './components/TranscriptPanel';
+import RecordingPlayer from './components/RecordingPlayer';
+import TranscriptExports from './components/TranscriptExports';
+import LeadPanel from './components/LeadPanel';
+import CallHistory from './components/CallHistory';
+import OutboxPanel from './components/OutboxPanel';
+import LanguageSelect from './components/LanguageSelect';
+import ScenarioSelect from './components/ScenarioSelect';
+import VoiceSettingsPanel from './components/VoiceSettingsPanel';
+import MicrophonePanel from './components/MicrophonePanel';
+import InputModeSwitch from './components/InputModeSwitch';
+import ChatInput from './components/ChatInput';
+import CallCountdown from './components/CallCountdown';
+import CallReview from './components/CallReview';
+import DevOverlay from './components/DevOverlay';
+import { useOutbox } from './hooks/useOutbox';
+import { useAudioInputs } from './hooks/useAudioInputs';
+import { useVoiceCall } from './hooks/useVoiceCall';
+import { useStoredSettings } from './hooks/useStoredSettings';
+import { CallState, InputMode } from './lib/callMachine';
+import { asksCheckbox } from './lib/consent';
+import { isLeadEmpty } from './lib/lead';
+import { callScenarios } from './lib/scenarios';
+import { defaultMicSettings, normalizeMicSettings } from './lib/microphone';
+import { defaultVoiceSettings, normalizeVoiceSettings } from './lib/voiceSettings';
+import { ENDPOINTS, createApiClient } from './api/client';
+
+// Status circle look and caption (i18n key) per call state
+const CIRCLE = {
+  [CallState.CONNECTING]: { className: 'thinking',  label: 'circle.connecting' },
+  [CallState.GREETING]:   { className: 'thinking',  label: 'circle.connecting' },
+  [CallState.LISTENING]:  { className: 'listening', label: 'circle.listening' },
+  [CallState.THINKING]:   { className: 'thinking',  label: 'circle.thinking' },
+  [CallState.SPEAKING]:   { className: 'speaking',  label: 'circle.speaking' },
+};
+const IDLE_CIRCLE = { className: '', label: 'circle.ready' };
+
+function App({ config }) {
+  const [view, setView] = useState('call');   // 'call' | 'history'
+  const [settingsPanel, setSettingsPanel] = useState(null);   // null | 'voice' | 'mic'
+  const [consentChecked, setConsentChecked] = useState(false);
+  const scenarios = useMemo(() => callScenarios(config), [config]);
+  const [scenarioId, setScenarioId] = useState(() => scenarios[0].id);
+  const scenario = scenarios.find(s => s.id === scenarioId) ?? scenarios[0];
+  const rootRef = useRef(null);
+  const voice = useStoredSettings('voice-agent.voiceSettings', defaultVoiceSettings(config.ttsRate), normalizeVoiceSettings);
+  const mic   = useStoredSettings('voice-agent.micSettings', defaultMicSettings(), normalizeMicSettings);
+
+  const api = useMemo(() => createApiClient({
+    baseUrl: config.apiBase,
+    endpoints: { ...ENDPOINTS, metrics: { ...ENDPOINTS.metrics, path: config.metricsEndpoint } },
+  }), [config.apiBase, config.metricsEndpoint]);
+
+  // End-of-call delivery steps, shared by the call and the outbox retries
+  const deliveryHandlers = {
+    summarize: (transcript, options) => api.summary(transcript, options),
+    sendEmail: (payload) => api.email(payload),
   };
+  const outbox = useOutbox(deliveryHandlers);
+  const audioInputs = useAudioInputs();
 
-  const startListeningIfNeeded = () => {
-    if (!recognitionRef.current) return;
-    if (!callActiveRef.current) return;
-    if (isListeningRef.current || isSpeakingRef.current) return;
-
-    try {
-      recognitionRef.current.start();
-      isListeningRef.current = true;
-      setStatus('Listening...');
-    } catch (err) {
-      console.warn('start failed', err);
-      isListeningRef.current = false;
-    }
-  };
-
-  useEffect(() => {
-    const rec = recognitionRef.current;
-    if (!rec) return;
-
-    rec.onresult = async (event) => {
-      const text = event.results[event.results.length - 1][0].transcript.trim();
-      if (!text) return;
-
-      rec.stop?.();
-      isListeningRef.current = false;
-
-      // Collect for email
-      transcriptLinesRef.current.push({ role: 'user', text });
-      messagesRef.current.push({ role: 'user', content: text });
-
-      setStatus('Thinking...');
-
-      try {
-        const assistantText = await backendChat(messagesRef.current);
-        messagesRef.current.push({ role: 'assistant', content: assistantText });
-
-        const lower = assistantText.toLowerCase();
-        if (lower.includes('goodbye') || lower.includes('end call') || 
-            lower.includes('hang up') || lower.includes('terminate')) {
-          transcriptLinesRef.current.push({ role: 'agent', text: assistantText });
-          endCall();
-          return;
-        }
-
-        speak(assistantText);
-      } catch (err) {
-        console.error(err);
-        setStatus('Connection error — please try again');
-        setTimeout(startListeningIfNeeded, 1200);
-      }
-    };
-
-    rec.onend = () => {
-      isListeningRef.current = false;
-      if (callActiveRef.current && !isSpeakingRef.current) {
-        setTimeout(startListeningIfNeeded, 250);
-      }
-    };
-
-    rec.onerror = (e) => {
-      isListeningRef.current = false;
-      if (e.error === 'no-speech') {
-        setTimeout(startListeningIfNeeded, 400);
-      } else if (e.error.includes('permission')) {
-        setStatus('Microphone access denied');
-      } else {
-        setTimeout(startListeningIfNeeded, 800);
-      }
-    };
+  // Drives the level meter and the status circle through a CSS variable, without re-rendering
+  const showMicLevel = useCallback((level) => {
+    rootRef.current?.style.setProperty('--mic-level', level.toFixed(3));
   }, []);
 
-  const backendChat = async (msgs) => {
-    const res = await fetch(`${API_BASE}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ messages: msgs }),
-    });
-    if (!res.ok) throw new Error('chat failed');
-    const { assistant } = await res.json();
-    return assistant || '';
-  };
-
-  const backendSummary = async (fullTranscript) => {
-    try {
-      const res = await fetch(`${API_BASE}/api/summary`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ transcript: fullTranscript }),
-      });
-      if (!res.ok) throw new Error('summary endpoint failed');
-      const { summary } = await res.json();
-      return summary || 'No summary was generated';
-    } catch (err) {
-      console.error('Summary generation failed:', err);
-      return 'Could not create summary';
-    }
-  };
-
-  const uploadEmail = async (blob, transcriptText, summaryText) => {
-    try {
-      const form = new FormData();
-      form.append('transcript', transcriptText || 'No transcript available');
-      form.append('summary',    summaryText    || 'No summary available');
-      if (blob) {
-        form.append('recording', blob, 'mortgage-call.webm');
-      }
-
-      const res = await fetch(`${API_BASE}/api/email`, {
-        method: 'POST',
-        body: form,
-      });
-
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.error || 'Email endpoint failed');
-      }
-
-      return await res.json();
-    } catch (err) {
-      console.error('Email sending failed:', err);
-      throw err;
-    }
-  };
-
-  const startCall = async () => {
-    setCallActive(true);
-    transcriptLinesRef.current = [];
-    summaryTextRef.current = '';
-    setRecordingUrl(null);
-    messagesRef.current = [];
-    audioChunksRef.current = [];
-    isListeningRef.current = false;
-    isSpeakingRef.current = false;
-
-    setStatus('Starting call...');
-
-    // Start recording
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      const recorder = new MediaRecorder(stream);
-      mediaRecorderRef.current = recorder;
-      recorder.ondataavailable = e => audioChunksRef.current.push(e.data);
-      recorder.start();
-    } catch (err) {
-      console.error('Microphone access error:', err);
-      alert("Couldn't access microphone");
-      setCallActive(false);
-      return;
-    }
-
-    // Get greeting
-    try {
-      const greeting = await backendChat([
-        { role: 'user', content: 'Start the conversation with a greeting.' }
-      ]);
-      messagesRef.current.push({ role: 'assistant', content: greeting });
-      speak(greeting);
-    } catch (err) {
-      setStatus('Failed to start conversation');
-      endCall();
-    }
-  };
+  const call = useVoiceCall({
+    config,
+    api,
+    deliveryHandlers,
+    enqueueDelivery: outbox.enqueue,
+    voiceSettings: voice.settings,
+    micSettings: mic.settings,
+    onMicLevel: showMicLevel,
+  });
+  const { transcript, lead, inCall, t } = call;
+  const circle = CIRCLE[call.state] || IDLE_CIRCLE;
+  const textMode = call.inputMode === InputMode.TEXT;
+
+  // Screen readers and fonts follow the call language
+  useEffect(() => { document.documentElement.lang = call.lang; }, [call.lang]);
+
+  // Device labels only become readable once the microphone has been opened
+  const { refresh: refreshAudioInputs } = audioInputs;
+  useEffect(() => {
+    if (inCall) refreshAudioInputs();
+  }, [inCall, refreshAudioInputs]);
 
-  const endCall = async () => {
-    setCallActive(false);
-    setStatus('Call ended');
-
-    if (recognitionRef.current && isListeningRef.current) {
-      recognitionRef.current.stop?.();
-    }
-
-    // Stop recording & create blob
-    let recordingBlob = null;
-    if (mediaRecorderRef.current) {
-      await new Promise(resolve => {
-        mediaRecorderRef.current.onstop = () => {
-          recordingBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
-          setRecordingUrl(URL.createObjectURL(recordingBlob));
-          resolve();
-        };
-        mediaRecorderRef.current.stop?.();
-      });
-    }
-
-    // Prepare content for email
-    const fullTranscript = transcriptLinesRef.current
-      .map(l => `${l.role === 'user' ? 'You' : 'Agent'}: ${l.text}`)
-      .join('\n\n');
-
-    let summ = '';
-    try {
-      summ = await backendSummary(fullTranscript);
-      summaryTextRef.current = summ;
-      setStatus('Creating summary • Sending email...');
-    } catch {
-      summaryTextRef.current = 'Could not generate summary';
-    }
-
-    try {
-      await uploadEmail(recordingBlob, fullTranscript, summaryTextRef.current);
-      setStatus('Email sent successfully');
-    } catch (err) {
-      setStatus('Could not send email');
-      console.error('Final email error:', err);
-    }
-  };
+  const togglePanel = (name) => setSettingsPanel(open => (open === name ? null : name));
 
   return (
-    <div className="voice-agent-app">
+    <div className="voice-agent-app" ref={rootRef}>
       <div className="main-content">
-        <h1>Mortgage Voice Agent</h1>
-        <p className="subtitle">Speak naturally — just like a phone call</p>
-
-        <div className={`status-circle ${callActive ? (isSpeakingRef.current ? 'speaking' : 'listening') : ''}`}>
-          <div className="inner-circle">
-            {callActive
-              ? (isSpeakingRef.current ? 'Speaking' : 'Listening')
-              : 'Ready'}
-          </div>
-        </div>
-
-        <div className="status-text">{status}</div>
-
-        <div className="controls">
-          {!callActive ? (
-            <button className="big-btn start" onClick={startCall}>
-              Start Call
-            </button>
-          ) : (
-            <button className="big-btn end" onClick={endCall}>
-              End Call
-            </button>
-          )}
-        </div>
-
-        {recordingUrl && (
-          <div className="download-section">
-            <a href={recordingUrl} download="mortgage-call.webm" className="download-link">
-              Download this call recording
-            </a>
-          </div>
+        <h1>{t('app.title')}</h1>
+        <p className="subtitle">{t('app.subtitle')}</p>
+
+        {!inCall && (
+          <nav className="view-tabs">
+            <button className={view === 'call' ? 'active' : ''} onClick={() => setView('call')}>{t('tabs.call')}</button>
+            <button className={view === 'history' ? 'active' : ''} onClick={() => setView('history')}>{t('tabs.history')}</button>
+          </nav>
+        )}
+
+        {view === 'history' ? (
+          <CallHistory t={t} />
+        ) : (
+          <>
+            <div className={`status-circle ${circle.className}`}>
+              <div className="inner-circle">{t(circle.label)}</div>
+            </div>
+
+            <div className="status-text">{call.statusText}</div>
+
+            {config.languages.length > 1 && (
+              <LanguageSelect
+                languages={config.languages}
+                value={call.lang}
+                label={t('app.language')}
+                onChange={call.setLanguage}
+              />
+            )}
+
+            {!inCall && scenarios.length > 1 && (
+              <ScenarioSelect scenarios={scenarios} value={scenario.id} onChange={setScenarioId} t={t} />
+            )}
+
+            {inCall && scenario.persona && (
+              <div className="persona">{t('scenario.persona', { name: scenario.persona.name })}</div>
+            )}
+
+            {!inCall && asksCheckbox(config.recordingConsent) && (
+              <label className="consent-checkbox">
+                <input type="checkbox" checked={consentChecked} onChange={e => setConsentChecked(e.target.checked)} />
+                {t('consent.checkbox')}
+              </label>
+            )}
+
+            {inCall && call.deadline && <CallCountdown deadline={call.deadline} t={t} />}
+
+            {inCall && (
+              <div className={`recording-indicator${call.recording ? ' on' : ''}`}>
+                {t(call.recording ? 'consent.recording' : 'consent.notRecording')}
+              </div>
+            )}
+
+            <InputModeSwitch
+              mode={call.inputMode}
+              onChange={call.setInputMode}
+              speakReplies={call.speakReplies}
+              onSpeakRepliesChange={call.setSpeakReplies}
+              t={t}
+            />
+
+            <div className="controls">
+              {!inCall ? (
+                <button
+                  className="big-btn start"
+                  onClick={() => call.startCall({ consentChecked, scenario })}
+                  disabled={[CallState.ENDING, CallState.REVIEWING, CallState.DELIVERING].includes(call.state)}
+                >
+                  {t('call.start')}
+                </button>
+              ) : (
+                <button className="big-btn end" onClick={call.endCall}>
+                  {t('call.end')}
+                </button>
+              )}
+            </div>
+
+            <div className="settings-toggles">
+              <button className="small-btn" aria-expanded={settingsPanel === 'voice'} onClick={() => togglePanel('voice')}>
+                {t('voice.title')}
+              </button>
+              <button className="small-btn" aria-expanded={settingsPanel === 'mic'} onClick={() => togglePanel('mic')}>
+                {t('mic.title')}
+              </button>
+            </div>
+
+            {settingsPanel === 'voice' && (
+              <VoiceSettingsPanel
+                settings={voice.settings}
+                voices={call.voices}
+                lang={call.lang}
+                canPreview={!inCall}
+                onChange={voice.update}
+                onPreview={() => call.previewVoice(voice.settings, t('voice.sample'))}
+                onReset={voice.reset}
+                t={t}
+              />
+            )}
+
+            {settingsPanel === 'mic' && (
+              <MicrophonePanel
+                settings={mic.settings}
+                devices={audioInputs.devices}
+                inCall={inCall}
+                onChange={mic.update}
+                t={t}
+              />
+            )}
+
+            {call.review ? (
+              <CallReview
+                review={call.review}
+                lines={transcript}
+                recordingUrl={call.recordingUrl}
+                onChange={call.editReview}
+                onRegenerate={call.regenerateSummary}
+                onSend={call.sendReview}
+                onDiscard={call.discardReview}
+                t={t}
+              />
+            ) : !inCall && call.recordingUrl ? (
+              <RecordingPlayer recording={call.recordingUrl} lines={transcript} t={t} />
+            ) : (inCall || transcript.length > 0) && (
+              <TranscriptPanel lines={transcript} interimText={call.interimText} chat={textMode} t={t} />
+            )}
+
+            {inCall && textMode && (
+              <ChatInput
+                canSend={call.state === CallState.LISTENING || call.state === CallState.SPEAKING}
+                onSend={call.sendText}
+                onTyping={call.noteCallerActivity}
+                t={t}
+              />
+            )}
+
+            {!inCall && (call.recordingUrl || call.callInfo) && (
+              <div className="download-section">
+                {call.recordingUrl && (
+                  <a href={call.recordingUrl} download="mortgage-call.webm" className="download-link">
+                    {t('recording.download')}
+                  </a>
+                )}
+                {call.callInfo && transcript.length > 0 && (
+                  <TranscriptExports lines={transcript} call={call.callInfo} t={t} />
+                )}
+              </div>
+            )}
+
+            {!inCall && (
+              <OutboxPanel items={outbox.items} onRetry={outbox.retry} onDiscard={outbox.discard} t={t} />
+            )}
+          </>
         )}
       </div>
+
+      {view === 'call' && (inCall || !isLeadEmpty(lead)) && (
+        <LeadPanel
+          lead={lead}
+          editedKeys={call.editedLeadKeys}
+          requiredKeys={scenario.requiredLeadFields}
+          onChange={call.editLead}
+          t={t}
+        />
+      )}
+
+      {config.devOverlay && <DevOverlay metrics={call.metrics} context={call.contextStats} />}
     </div>
   );
 }
@@ -0,0 +1,1006 @@
+import { describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import App from './App';
+import { defaultConfig } from './config';
+import { parseScenarios } from './lib/scenarios';
+import shippedScenarios from '../public/scenarios.json';
+import { listCalls, saveCall } from './storage/callHistory';
+import { enqueueDelivery, listOutbox } from './storage/outbox';
+import { FakeAudioContext, FakeMediaRecorder } from './test/fakeMedia';
+import { FakeSpeechRecognition } from './test/fakeSpeech';
+import { installMockBackend } from './test/mockBackend';
+
+// Calls record without asking unless a test is about recording consent
+const renderApp = (overrides = {}) =>
+  render(<App config={{
+    ...defaultConfig(), apiBase: 'http://backend.test', streamChat: false, recordingConsent: 'off', ...overrides,
+  }} />);
+
+const recognizer = () => FakeSpeechRecognition.latest();
+
+const waitForListening = () => waitFor(() => expect(recognizer().listening).toBe(true));
+
+const status = () => document.querySelector('.status-text').textContent;
+
+const startCall = async () => {
+  fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+  await waitForListening();
+};
+
+const callerSays = async (text) => {
+  await waitForListening();
+  act(() => recognizer().say(text));
+};
+
+const endCall = (label = 'End Call') => fireEvent.click(screen.getByRole('button', { name: label }));
+
+const waitForStatus = (text, timeout) =>
+  waitFor(() => expect(status()).toContain(text), { timeout });
+
+describe('voice call', () => {
+  it('runs a call from greeting to the summary email', async () => {
+    const backend = installMockBackend({
+      replies: [
+        { assistant: 'Hi! Are you buying or refinancing?' },
+        { assistant: 'Great. How much would you like to borrow?',
+          actions: [{ type: 'update_lead', fields: { loanPurpose: 'refinance' } }] },
+        { assistant: 'Thanks, a loan officer will call you. Goodbye!', actions: [{ type: 'end_call' }] },
+      ],
+    });
+    renderApp();
+
+    await startCall();
+    expect(speechSynthesis.spoken).toEqual(['Hi! Are you buying or refinancing?']);
+
+    await callerSays('Refinancing my house');
+    await waitFor(() => expect(screen.getByText('Great. How much would you like to borrow?')).toBeTruthy());
+    expect(backend.requests.chat[1].body.messages.at(-1)).toEqual({ role: 'user', content: 'Refinancing my house' });
+
+    await callerSays('About three hundred thousand');
+    await waitForStatus('Email sent successfully');
+
+    const email = backend.requests.email[0];
+    expect(email.body.transcript).toContain('You: Refinancing my house');
+    expect(email.body.transcript).toContain('Agent: Thanks, a loan officer will call you. Goodbye!');
+    expect(email.body.summary).toBe('Caller asked about a mortgage.');
+    expect(JSON.parse(email.body.lead).loanPurpose).toBe('refinance');
+    expect(email.headers['Idempotency-Key']).toBeTruthy();
+    expect(backend.requests.summary[0].body.transcript).toBe(email.body.transcript);
+
+    expect(navigator.mediaDevices.streams[0].getTracks()[0].readyState).toBe('ended');
+    expect(screen.getByText('Download this call recording')).toBeTruthy();
+
+    const [saved] = await listCalls();
+    expect(saved.emailStatus).toBe('sent');
+    expect(saved.transcript).toHaveLength(5);
+  });
+
+  it('speaks streamed replies sentence by sentence', async () => {
+    installMockBackend({ replies: [{ assistant: 'Hello there. I can help with your mortgage today.' }] });
+    renderApp({ streamChat: true });
+
+    await startCall();
+    expect(speechSynthesis.spoken).toEqual(['Hello there.', 'I can help with your mortgage today.']);
+  });
+
+  it('ends the call from the End Call button', async () => {
+    const backend = installMockBackend();
+    renderApp();
+
+    await startCall();
+    endCall();
+
+    await waitForStatus('Email sent successfully');
+    expect(backend.requests.email).toHaveLength(1);
+    expect(screen.getByRole('button', { name: 'Start Call' })).toBeTruthy();
+  });
+
+  it('hangs up while the browser is still asking for the microphone', async () => {
+    const backend = installMockBackend();
+    navigator.mediaDevices.hold();
+    renderApp();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+    endCall();
+    await act(async () => navigator.mediaDevices.release());
+
+    await waitForStatus('Email sent successfully');
+    expect(navigator.mediaDevices.streams[0].getTracks()[0].readyState).toBe('ended');
+    expect(FakeMediaRecorder.instances).toHaveLength(0);
+    expect(backend.requests.chat).toHaveLength(0);
+    expect(recognizer()?.listening ?? false).toBe(false);
+  });
+
+  it('lets the caller interrupt the agent', async () => {
+    const backend = installMockBackend({
+      replies: [
+        { assistant: 'Welcome to the mortgage line. I can tell you about all of our products.' },
+        { assistant: 'Sure, go ahead.' },
+      ],
+    });
+    speechSynthesis.autoFinish = false;
+    renderApp({ streamChat: true });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+    await waitFor(() => expect(speechSynthesis.spoken).toHaveLength(1));
+    act(() => speechSynthesis.finish());                          // first sentence heard in full
+    act(() => speechSynthesis.finish(undefined, { chars: 5 }));   // "I can" of the second one
+
+    await waitForListening();
+    act(() => recognizer().say('Wait, I have a question'));
+
+    await waitFor(() => expect(backend.requests.chat).toHaveLength(2));
+    const interrupted = backend.requests.chat[1].body.messages[0];
+    expect(interrupted).toEqual({
+      role: 'assistant',
+      content: 'Welcome to the mortgage line. I can… [interrupted by caller]',
+    });
+    expect(interrupted).not.toHaveProperty('interrupted');
+    expect(screen.getByText('interrupted')).toBeTruthy();
+  });
+
+  it('ignores the recognizer hearing the agent itself', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: 'Welcome to the mortgage line.' }] });
+    speechSynthesis.autoFinish = false;
+    renderApp();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+    await waitForListening();
+    act(() => recognizer().say('welcome to the mortgage', { interim: true }));
+
+    expect(speechSynthesis.speaking).toBe(true);
+    expect(backend.requests.chat).toHaveLength(1);
+  });
+
+  it('takes a short answer over the agent as the caller\'s turn', async () => {
+    const backend = installMockBackend({
+      replies: [{ assistant: 'Are you buying or refinancing a home today?' }, { assistant: 'Great.' }],
+    });
+    speechSynthesis.autoFinish = false;
+    renderApp();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+    await waitForListening();
+    act(() => recognizer().say('refinancing', { interim: true }));
+    expect(speechSynthesis.speaking).toBe(false);
+
+    await waitForListening();
+    act(() => recognizer().say('refinancing'));
+    await waitFor(() => expect(backend.requests.chat).toHaveLength(2));
+    expect(backend.requests.chat[1].body.messages.at(-1)).toEqual({ role: 'user', content: 'refinancing' });
+  });
+
+  it('never drops a final result that repeats the agent', async () => {
+    const backend = installMockBackend({
+      replies: [{ assistant: 'Welcome to the mortgage line.' }, { assistant: 'How can I help?' }],
+    });
+    speechSynthesis.autoFinish = false;
+    renderApp();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+    await waitForListening();
+    act(() => recognizer().say('the mortgage line'));
+
+    await waitFor(() => expect(backend.requests.chat).toHaveLength(2));
+    expect(backend.requests.chat[1].body.messages.at(-1)).toEqual({ role: 'user', content: 'the mortgage line' });
+  });
+
+  it('shows interim results as a live caption', async () => {
+    installMockBackend();
+    renderApp();
+
+    await startCall();
+    act(() => recognizer().say('I would like', { interim: true }));
+    expect(document.querySelector('.transcript-line.interim').textContent).toContain('I would like');
+  });
+});
+
+describe('recording', () => {
+  it('times the transcript against the recording and seeks from it', async () => {
+    const backend = installMockBackend({
+      replies: [{ assistant: 'Hi! Are you buying or refinancing?' }, { assistant: 'Great.' }],
+    });
+    const play = vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue();
+    renderApp();
+
+    await startCall();
+    await callerSays('Refinancing');
+    await waitFor(() => expect(screen.getByText('Great.')).toBeTruthy());
+    endCall();
+    await waitForStatus('Email sent successfully');
+
+    const { segments } = JSON.parse(backend.requests.email[0].body.transcript_json);
+    expect(segments.map(s => s.text)).toEqual(['Hi! Are you buying or refinancing?', 'Refinancing', 'Great.']);
+    for (const s of segments) {
+      expect(s.startMs).toBeGreaterThanOrEqual(0);
+      expect(s.endMs).toBeGreaterThanOrEqual(s.startMs);
+    }
+    expect(backend.requests.email[0].body.transcript).toMatch(/^\[0:00\] Agent: Hi!/);
+
+    const [seekButton] = screen.getAllByRole('button', { name: /^Play from / });
+    fireEvent.click(seekButton);
+    expect(play).toHaveBeenCalled();
+    expect(document.querySelector('.transcript-line.active').textContent).toContain('Hi! Are you buying');
+
+    URL.createObjectURL.mockClear();
+    const save = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    fireEvent.click(screen.getByRole('button', { name: 'Transcript (WebVTT)' }));
+    expect(save.mock.contexts[0].download).toBe('mortgage-call.vtt');
+    const [vtt] = URL.createObjectURL.mock.calls[0];
+    expect(await vtt.text()).toMatch(/^WEBVTT\n\n00:00:00\.\d{3} --> /);
+  });
+
+  it('sends browser speech as timed markers next to a caller-only recording', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: 'Hi! Are you buying or refinancing?' }] });
+    renderApp();
+
+    await startCall();
+    endCall();
+    await waitForStatus('Email sent successfully');
+
+    const { body } = backend.requests.email[0];
+    expect(body.recording_layout).toBe('caller-only');
+    expect(JSON.parse(body.agent_markers)).toEqual([
+      expect.objectContaining({ text: 'Hi! Are you buying or refinancing?', startMs: expect.any(Number) }),
+    ]);
+    const [saved] = await listCalls();
+    expect(saved.recordingLayout).toBe('caller-only');
+    expect(saved.agentMarkers).toHaveLength(1);
+  });
+});
+
+describe('recording consent', () => {
+  it('records once the consent box is ticked', async () => {
+    const backend = installMockBackend();
+    renderApp({ recordingConsent: 'checkbox' });
+
+    fireEvent.click(screen.getByLabelText('I agree to this call being recorded'));
+    await startCall();
+    expect(screen.getByText('Recording')).toBeTruthy();
+    endCall();
+    await waitForStatus('Email sent successfully');
+
+    const consent = JSON.parse(backend.requests.email[0].body.consent);
+    expect(consent).toMatchObject({ mode: 'checkbox', granted: true, method: 'checkbox' });
+    expect(consent.decidedAt).toEqual(expect.any(Number));
+    expect(backend.requests.email[0].body.recording).toBeTruthy();
+  });
+
+  it('runs the call without a recording when the box is not ticked', async () => {
+    const backend = installMockBackend();
+    renderApp({ recordingConsent: 'checkbox' });
+
+    await startCall();
+    expect(FakeMediaRecorder.instances).toHaveLength(0);
+    expect(screen.getByText('Not recording')).toBeTruthy();
+    endCall();
+    await waitForStatus('Email sent successfully');
+
+    const { body } = backend.requests.email[0];
+    expect(JSON.parse(body.consent)).toMatchObject({ granted: false, method: 'checkbox' });
+    expect(body.recording).toBeUndefined();
+    const [saved] = await listCalls();
+    expect(saved.consent.granted).toBe(false);
+  });
+
+  it('asks for spoken consent and starts recording on a yes', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: 'Hi! Are you buying or refinancing?' }] });
+    renderApp({ recordingConsent: 'spoken' });
+
+    await startCall();
+    expect(speechSynthesis.spoken[0]).toMatch(/^Before we begin: this call is recorded/);
+    expect(backend.requests.chat).toHaveLength(0);
+    expect(FakeMediaRecorder.instances).toHaveLength(0);
+
+    await callerSays('Hmm?');
+    await waitFor(() => expect(speechSynthesis.spoken[1]).toMatch(/^Sorry, I didn't catch that/));
+
+    await callerSays('Yes, that\'s fine');
+    await waitFor(() => expect(speechSynthesis.spoken).toContain('Hi! Are you buying or refinancing?'));
+    expect(FakeMediaRecorder.instances[0].state).toBe('recording');
+    // The agent only sees the conversation after the disclosure
+    expect(backend.requests.chat[0].body.messages).toEqual([
+      { role: 'user', content: 'Start the conversation with a greeting.' },
+    ]);
+
+    endCall();
+    await waitForStatus('Email sent successfully');
+    const { body } = backend.requests.email[0];
+    expect(JSON.parse(body.consent)).toMatchObject({ mode: 'spoken', granted: true, answer: 'Yes, that\'s fine' });
+    expect(JSON.parse(body.transcript_json).consent.granted).toBe(true);
+  });
+
+  it('keeps talking without recording when the caller says no', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: 'No problem. How can I help?' }] });
+    renderApp({ recordingConsent: 'spoken', lang: 'es-US' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Iniciar llamada' }));
+    await waitFor(() => expect(speechSynthesis.spoken[0]).toMatch(/^Antes de empezar/));
+    await callerSays('No, gracias');
+    await waitFor(() => expect(backend.requests.chat).toHaveLength(1));
+    expect(FakeMediaRecorder.instances).toHaveLength(0);
+
+    endCall('Terminar llamada');
+    await waitFor(() => expect(backend.requests.email).toHaveLength(1));
+    expect(JSON.parse(backend.requests.email[0].body.consent)).toMatchObject({ granted: false, method: 'spoken' });
+  });
+});
+
+describe('redaction', () => {
+  it('masks PII in everything sent after the call', async () => {
+    const backend = installMockBackend({
+      replies: [{ assistant: 'Hello! How can I help?' }, { assistant: 'Thanks, I have noted that.' }],
+    });
+    renderApp();
+
+    await startCall();
+    await callerSays('My social is 123-45-6789');
+    await waitFor(() => expect(screen.getByText('Thanks, I have noted that.')).toBeTruthy());
+    endCall();
+    await waitForStatus('Email sent successfully');
+
+    expect(backend.requests.summary[0].body.transcript).toContain('You: My social is [SSN]');
+    const { body } = backend.requests.email[0];
+    expect(body.transcript).not.toContain('6789');
+    expect(body.transcript_json).not.toContain('6789');
+    expect(document.querySelector('mark.redacted').title).toBe('Redacted: SSN');
+
+    const [saved] = await listCalls();
+    expect(saved.transcript[1].text).toBe('My social is [SSN]');
+    expect(saved.transcriptUnredacted).toBeUndefined();
+  });
+
+  it('keeps the unredacted transcript locally when the policy allows it', async () => {
+    const backend = installMockBackend();
+    renderApp({ keepUnredactedTranscript: true });
+
+    await startCall();
+    await callerSays('Card 4111 1111 1111 1111');
+    await waitFor(() => expect(backend.requests.chat).toHaveLength(2));
+    endCall();
+    await waitForStatus('Email sent successfully');
+
+    expect(backend.requests.email[0].body.transcript).toContain('Card [CARD]');
+    const [saved] = await listCalls();
+    expect(saved.transcriptUnredacted[1].text).toBe('Card 4111 1111 1111 1111');
+  });
+});
+
+describe('language', () => {
+  it('runs the call in the language picked before it starts', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: '¡Hola! ¿En qué puedo ayudarle?' }] });
+    renderApp();
+
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'es-US' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Iniciar llamada' }));
+    await waitForListening();
+
+    expect(recognizer().lang).toBe('es-US');
+    expect(backend.requests.chat[0].body.locale).toBe('es-US');
+    expect(speechSynthesis.utterances[0].voice.name).toBe('Google español');
+    expect(status()).toBe('Escuchando...');
+    expect(document.documentElement.lang).toBe('es-US');
+
+    endCall('Terminar llamada');
+    await waitForStatus('Correo enviado correctamente');
+    expect(backend.requests.summary[0].body.locale).toBe('es-US');
+  });
+
+  it('switches language mid-call', async () => {
+    const backend = installMockBackend();
+    renderApp();
+
+    await startCall();
+    const starts = recognizer().starts;
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'vi-VN' } });
+
+    await waitFor(() => expect(recognizer().starts).toBe(starts + 1));
+    expect(recognizer().lang).toBe('vi-VN');
+    await callerSays('Xin chào');
+    await waitFor(() => expect(backend.requests.chat).toHaveLength(2));
+    expect(backend.requests.chat[1].body.locale).toBe('vi-VN');
+  });
+
+  it('shows the outbox, call history and lead choices in the picked language', async () => {
+    installMockBackend();
+    await saveCall({
+      id: 'call-1', startedAt: 1, durationMs: 65000, transcript: [], emailStatus: 'sent',
+      summary: 'Quiere refinanciar.', lead: { loanPurpose: 'refinance' },
+    });
+    await enqueueDelivery({ deliveryId: 'call-2', transcript: 'Agent: Hola' }, { callId: 'call-2' });
+    renderApp({ lang: 'es-US' });
+
+    expect(await screen.findByText('Resúmenes de llamadas sin enviar')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Reintentar ahora' })).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Historial' }));
+    fireEvent.click(await screen.findByText('Correo enviado'));
+    expect(screen.getByText('Datos del cliente')).toBeTruthy();
+    expect(screen.getByText('Refinanciación')).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Llamada' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Iniciar llamada' }));
+    await waitForListening();
+    expect(screen.getByRole('option', { name: 'Refinanciación con retiro de efectivo' }).value).toBe('cash-out refinance');
+  });
+});
+
+describe('voice settings', () => {
+  it('applies and remembers the caller\'s voice, speed, pitch and volume', async () => {
+    installMockBackend({ replies: [{ assistant: 'Hello there. How can I help?' }] });
+    const { unmount } = renderApp({ streamChat: true });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Voice settings' }));
+    fireEvent.change(screen.getByLabelText('Voice'), { target: { value: 'Google US English' } });
+    fireEvent.change(screen.getByLabelText('Speed'), { target: { value: '0.8' } });
+    fireEvent.change(screen.getByLabelText('Pitch'), { target: { value: '1.2' } });
+    fireEvent.change(screen.getByLabelText('Volume'), { target: { value: '0.5' } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+    expect(speechSynthesis.utterances[0]).toMatchObject({ rate: 0.8, pitch: 1.2, volume: 0.5 });
+
+    unmount();
+    renderApp({ streamChat: true });
+    await startCall();
+
+    const spoken = speechSynthesis.utterances.slice(1);
+    expect(spoken).toHaveLength(2);
+    for (const utterance of spoken) {
+      expect(utterance).toMatchObject({ rate: 0.8, pitch: 1.2, volume: 0.5 });
+      expect(utterance.voice.name).toBe('Google US English');
+    }
+  });
+
+  it('only offers voices for the call language', () => {
+    installMockBackend();
+    renderApp();
+
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'es-US' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Ajustes de voz' }));
+
+    const names = [...screen.getByLabelText('Voz').options].map(o => o.textContent);
+    expect(names).toEqual(['Automática', 'Google español (es-ES)']);
+  });
+});
+
+describe('microphone', () => {
+  it('records from the chosen device with the chosen processing', async () => {
+    installMockBackend();
+    renderApp();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Microphone' }));
+    await waitFor(() => expect(screen.getByRole('option', { name: 'USB Headset' })).toBeTruthy());
+    fireEvent.change(screen.getByLabelText('Input'), { target: { value: 'headset' } });
+    fireEvent.click(screen.getByLabelText('Noise suppression'));
+
+    await startCall();
+    expect(navigator.mediaDevices.streams[0].constraints.audio).toEqual({
+      deviceId: { exact: 'headset' },
+      echoCancellation: true,
+      noiseSuppression: false,
+      autoGainControl: true,
+    });
+    expect(screen.getByLabelText('Input').disabled).toBe(true);
+
+    // Processing changes reach the running call
+    fireEvent.click(screen.getByLabelText('Echo cancellation'));
+    const track = navigator.mediaDevices.streams[0].getAudioTracks()[0];
+    expect(track.constraints.echoCancellation).toBe(false);
+  });
+
+  it('falls back to the default microphone when the saved one is unplugged', async () => {
+    localStorage.setItem('voice-agent.micSettings', JSON.stringify({ deviceId: 'dock-mic' }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    installMockBackend();
+    renderApp();
+
+    await startCall();
+    expect(navigator.mediaDevices.streams[0].constraints.audio.deviceId).toBeUndefined();
+  });
+
+  it('shows the caller\'s input level while the call runs', async () => {
+    installMockBackend();
+    const { container } = renderApp();
+    const root = container.querySelector('.voice-agent-app');
+
+    FakeAudioContext.level = 0.1;   // -20 dBFS
+    await startCall();
+    await waitFor(() => expect(root.style.getPropertyValue('--mic-level')).toBe('0.667'));
+
+    endCall();
+    await waitForStatus('Email sent successfully');
+    expect(root.style.getPropertyValue('--mic-level')).toBe('0.000');
+    expect(FakeAudioContext.instances[0].state).toBe('closed');
+  });
+});
+
+describe('recognition errors', () => {
+  it('keeps listening after no-speech', async () => {
+    installMockBackend();
+    renderApp();
+
+    await startCall();
+    const starts = recognizer().starts;
+    act(() => recognizer().fail('no-speech'));
+
+    await waitFor(() => expect(recognizer().starts).toBe(starts + 1));
+    expect(recognizer().listening).toBe(true);
+    expect(status()).toBe('Listening...');
+  });
+
+  it('stops listening and tells the caller when the recognizer is not allowed', async () => {
+    installMockBackend();
+    renderApp();
+
+    await startCall();
+    const starts = recognizer().starts;
+    act(() => recognizer().fail('not-allowed'));
+
+    await waitForStatus('Microphone access denied');
+    await new Promise(resolve => setTimeout(resolve, 500));
+    expect(recognizer().starts).toBe(starts);
+  });
+
+  it('carries on in text mode when the recognizer is not allowed', async () => {
+    installMockBackend();
+    renderApp();
+
+    await startCall();
+    act(() => recognizer().fail('not-allowed'));
+
+    await waitFor(() => expect(screen.getByLabelText('Type a message…')).toBeTruthy());
+    expect(screen.getByRole('button', { name: 'Text' }).getAttribute('aria-pressed')).toBe('true');
+  });
+});
+
+describe('text mode', () => {
+  const typeMessage = (text) => {
+    fireEvent.change(screen.getByLabelText('Type a message…'), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+  };
+
+  const waitForYourTurn = () => waitForStatus('Your turn');
+
+  it('continues the call by text when the microphone is blocked', async () => {
+    const backend = installMockBackend({
+      replies: [{ assistant: 'Hi! Are you buying or refinancing?' }, { assistant: 'Great, refinancing it is.' }],
+    });
+    navigator.mediaDevices.deny = true;
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    renderApp();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+    await waitForStatus('Microphone access denied');
+    await waitFor(() => expect(screen.getByText('Hi! Are you buying or refinancing?')).toBeTruthy());
+    expect(document.querySelector('.transcript-panel.chat')).toBeTruthy();
+
+    typeMessage('Refinancing');
+    await waitFor(() => expect(screen.getByText('Great, refinancing it is.')).toBeTruthy());
+    expect(backend.requests.chat[1].body.messages.at(-1)).toEqual({ role: 'user', content: 'Refinancing' });
+    expect(FakeMediaRecorder.instances).toHaveLength(0);
+
+    endCall();
+    await waitForStatus('Email sent successfully');
+    expect(backend.requests.email[0].body.transcript).toContain('You: Refinancing');
+    const [saved] = await listCalls();
+    expect(saved.transcript[1]).toMatchObject({ text: 'Refinancing', typed: true });
+  });
+
+  it('switches between voice and text mid-call', async () => {
+    const backend = installMockBackend({
+      replies: [{ assistant: 'Hello!' }, { assistant: 'Got your message.' }, { assistant: 'Heard you.' }],
+    });
+    renderApp();
+
+    await startCall();
+    fireEvent.click(screen.getByRole('button', { name: 'Text' }));
+    expect(recognizer().listening).toBe(false);
+
+    await waitForYourTurn();
+    typeMessage('Typing from a quiet office');
+    await waitFor(() => expect(screen.getByText('Got your message.')).toBeTruthy());
+    // Replies are still spoken unless the caller turns that off
+    expect(speechSynthesis.spoken).toContain('Got your message.');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Voice' }));
+    await callerSays('And now I am talking');
+    await waitFor(() => expect(screen.getByText('Heard you.')).toBeTruthy());
+    expect(backend.requests.chat[2].body.messages.map(m => m.content)).toEqual([
+      'Hello!', 'Typing from a quiet office', 'Got your message.', 'And now I am talking',
+    ]);
+  });
+
+  it('opens the microphone when a text call switches to the remote recognizer', async () => {
+    const backend = installMockBackend({
+      replies: [{ assistant: 'Hello!' }, { assistant: 'Happy to help with that.' }],
+      transcript: 'I would like a mortgage.',
+    });
+    renderApp({ sttEngine: 'remote' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Text' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+    await waitForYourTurn();
+    expect(navigator.mediaDevices.streams).toHaveLength(0);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Voice' }));
+    await waitFor(() => expect(navigator.mediaDevices.streams).toHaveLength(1));
+    FakeAudioContext.level = 0.1;
+    await new Promise(resolve => setTimeout(resolve, 200));
+    FakeAudioContext.level = 0;
+
+    await waitFor(() => expect(screen.getByText('Happy to help with that.')).toBeTruthy(), { timeout: 3000 });
+    expect(backend.requests.transcribe).toHaveLength(1);
+    expect(backend.requests.chat[1].body.messages.at(-1)).toEqual({ role: 'user', content: 'I would like a mortgage.' });
+    expect(status()).not.toContain('Microphone access denied');
+  });
+
+  it('shows replies without speaking them when reading aloud is off', async () => {
+    installMockBackend({ replies: [{ assistant: 'Hello!' }, { assistant: 'Quiet reply.' }] });
+    renderApp();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Text' }));
+    fireEvent.click(screen.getByLabelText('Read replies aloud'));
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+
+    await waitForYourTurn();
+    typeMessage('Hi');
+    await waitFor(() => expect(screen.getByText('Quiet reply.')).toBeTruthy());
+    expect(speechSynthesis.spoken).toEqual([]);
+    expect(navigator.mediaDevices.streams).toHaveLength(0);
+  });
+});
+
+describe('silence and call length', () => {
+  it('re-prompts a silent caller and then ends the call politely', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: 'Hello! How can I help?' }] });
+    renderApp({ silenceTimeoutSec: 0.2, silencePrompts: 1 });
+
+    await startCall();
+    await waitFor(() => expect(speechSynthesis.spoken).toContain('Are you still there?'), { timeout: 2000 });
+    await waitForStatus('Email sent successfully', 3000);
+
+    expect(speechSynthesis.spoken.at(-1)).toMatch(/stepped away/);
+    const { transcript } = backend.requests.email[0].body;
+    expect(transcript).toContain('Note: No response for 0.2 seconds');
+    expect(transcript).toContain('Note: Call ended after 1 unanswered prompts');
+    expect(backend.requests.chat).toHaveLength(1);
+  });
+
+  it('starts counting again when the caller answers', async () => {
+    installMockBackend({ replies: [{ assistant: 'Hello!' }, { assistant: 'Good to hear.' }] });
+    renderApp({ silenceTimeoutSec: 0.2, silencePrompts: 1 });
+
+    await startCall();
+    await waitFor(() => expect(speechSynthesis.spoken).toContain('Are you still there?'), { timeout: 2000 });
+    await callerSays('Yes, sorry');
+    await waitFor(() => expect(speechSynthesis.spoken).toContain('Good to hear.'));
+    await waitFor(() => expect(speechSynthesis.spoken.filter(t => t === 'Are you still there?')).toHaveLength(2), { timeout: 2000 });
+    expect(status()).not.toContain('Email');
+  });
+
+  it('ends the call at the maximum duration and shows the time left', async () => {
+    const backend = installMockBackend();
+    renderApp({ maxCallMinutes: 0.01 });
+
+    await startCall();
+    expect(screen.getByRole('timer').textContent).toMatch(/^Time left 0:00/);
+    await waitForStatus('Email sent successfully', 3000);
+
+    expect(screen.queryByRole('timer')).toBeNull();
+    expect(backend.requests.email[0].body.transcript).toContain('Note: Call ended at the 0.01-minute limit');
+  });
+});
+
+describe('metrics', () => {
+  it('times every turn and reports them to /api/metrics and with the email', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: 'Hello!' }, { assistant: 'Sure.' }] });
+    renderApp({ metricsBatchSize: 2 });
+
+    await startCall();
+    await waitForListening();
+    act(() => {
+      recognizer().say('I want', { interim: true });
+      recognizer().endSpeech();
+      recognizer().say('I want a loan');
+    });
+    await waitFor(() => expect(speechSynthesis.spoken).toContain('Sure.'));
+    await waitFor(() => expect(backend.requests.metrics).toHaveLength(1));
+    expect(backend.requests.metrics[0].body.turns.map(t => t.trigger)).toEqual(['greeting', 'voice']);
+
+    endCall();
+    await waitForStatus('Email sent successfully');
+
+    const final = backend.requests.metrics.at(-1).body;
+    expect(final.turns).toEqual([]);
+    const report = JSON.parse(backend.requests.email[0].body.metrics);
+    expect(final.report).toEqual(report);
+    const [greeting, voice] = report.turns;
+    expect(greeting).toMatchObject({ trigger: 'greeting', recognitionMs: null });
+    expect(voice.recognitionMs).toBeGreaterThanOrEqual(0);
+    for (const field of ['chatMs', 'speechStartMs', 'ttsMs']) {
+      expect(voice[field]).toBeGreaterThanOrEqual(0);
+    }
+    expect(report.summary.chatMs.count).toBe(2);
+  });
+
+  it('shows timings, recognizer errors and restarts in the dev overlay', async () => {
+    const backend = installMockBackend();
+    renderApp({ devOverlay: true, sendMetrics: false });
+
+    await startCall();
+    const overlay = screen.getByRole('complementary', { name: 'Call metrics' });
+    await waitFor(() => expect(overlay.textContent).toContain('Turns1 (last: greeting)'));
+    const starts = recognizer().starts;
+    act(() => recognizer().fail('no-speech'));
+    await waitFor(() => expect(recognizer().starts).toBe(starts + 1));
+
+    expect(overlay.textContent).toContain('no-speech ×1');
+    expect(overlay.textContent).toContain('Recognizer restarts1');
+    endCall();
+    await waitForStatus('Email sent successfully');
+    expect(backend.requests.metrics).toEqual([]);
+  });
+});
+
+describe('long calls', () => {
+  it('folds older turns into a redacted summary and keeps the lead pinned', async () => {
+    const long = 'Let me explain how refinancing works in detail. '.repeat(8).trim();
+    const backend = installMockBackend({
+      replies: [
+        { assistant: 'Hello!' },
+        { assistant: long, actions: [{ type: 'update_lead', fields: { loanPurpose: 'refinance' } }] },
+      ],
+      summary: 'Caller wants to refinance.',
+    });
+    renderApp({ contextBudgetChars: 1000, contextRecentMessages: 2, devOverlay: true, sendMetrics: false });
+
+    await startCall();
+    for (const words of ['I want to refinance, my social is 123-45-6789', 'Please go on', 'And the rates?']) {
+      const requests = backend.requests.chat.length;
+      await callerSays(words);
+      await waitFor(() => expect(backend.requests.chat).toHaveLength(requests + 1));
+    }
+    await waitFor(() => expect(backend.requests.summary).toHaveLength(1));
+    expect(backend.requests.summary[0].body.transcript)
+      .toMatch(/^Agent: Hello!\nCaller: I want to refinance, my social is \[SSN\]\nAgent: Let me explain/);
+
+    await callerSays('What about fees?');
+    await waitFor(() => expect(backend.requests.chat).toHaveLength(5));
+    const { messages } = backend.requests.chat[4].body;
+    expect(messages[0]).toEqual({
+      role: 'system',
+      content: 'Summary of the earlier conversation: Caller wants to refinance.\nFacts from this call: Loan purpose: refinance.',
+    });
+    expect(messages.at(-1)).toEqual({ role: 'user', content: 'What about fees?' });
+    expect(JSON.stringify(messages).length).toBeLessThanOrEqual(1000);
+
+    const overlay = screen.getByRole('complementary', { name: 'Call metrics' });
+    expect(overlay.textContent).toMatch(/Messages sent\d of 8/);
+    expect(overlay.textContent).toContain('Pinned facts1');
+  });
+});
+
+describe('scenarios', () => {
+  const SCENARIOS = [
+    { id: 'general', name: 'General questions', description: '', opening: 'Greet the caller.', persona: null,
+      requiredLeadFields: [], email: { subject: '', recipients: [] } },
+    { id: 'refinance', name: 'Refinancing', description: 'Lower your rate or take cash out.',
+      opening: 'Greet the caller and ask about their refinance goals.',
+      persona: { name: 'Maya', voice: 'Samantha' },
+      requiredLeadFields: ['loanAmount', 'phone'],
+      email: { subject: 'New refinance lead', recipients: ['refi@example.com'] } },
+  ];
+
+  it('runs the call with the picked scenario and persona', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: 'Hi, I am Maya.' }] });
+    renderApp({ scenarios: SCENARIOS, emailRecipients: ['ops@example.com'] });
+
+    fireEvent.change(screen.getByLabelText('Call about'), { target: { value: 'refinance' } });
+    expect(screen.getByText('Lower your rate or take cash out.')).toBeTruthy();
+    await startCall();
+
+    expect(screen.getByText('You are talking to Maya')).toBeTruthy();
+    expect(screen.queryByLabelText('Call about')).toBeNull();
+    const { messages, scenario } = backend.requests.chat[0].body;
+    expect(messages).toEqual([{ role: 'user', content: 'Greet the caller and ask about their refinance goals.' }]);
+    expect(scenario).toEqual({
+      id: 'refinance', name: 'Refinancing', persona: 'Maya',
+      requiredLeadFields: ['loanAmount', 'phone'], missingLeadFields: ['loanAmount', 'phone'],
+    });
+    expect(speechSynthesis.utterances[0].voice.name).toBe('Samantha');
+    expect(screen.getByLabelText(/Loan amount/).getAttribute('aria-required')).toBe('true');
+    expect(screen.getByLabelText(/Annual income/).getAttribute('aria-required')).toBe('false');
+
+    endCall();
+    await waitForStatus('Email sent successfully');
+    const email = backend.requests.email[0].body;
+    expect(email).toMatchObject({
+      subject: 'New refinance lead', scenario: 'refinance', recipients: 'ops@example.com,refi@example.com',
+    });
+    expect(JSON.parse(email.transcript_json).scenario).toBe('refinance');
+  });
+
+  it('uses the greeting prompt when no scenarios are configured', async () => {
+    const backend = installMockBackend();
+    renderApp({ greetingPrompt: 'Say hello.' });
+
+    expect(screen.queryByLabelText('Call about')).toBeNull();
+    await startCall();
+    expect(backend.requests.chat[0].body.messages).toEqual([{ role: 'user', content: 'Say hello.' }]);
+    expect(backend.requests.chat[0].body.scenario).toMatchObject({ id: 'general', persona: null });
+  });
+
+  it('keeps the configured greeting prompt for the shipped general scenario', async () => {
+    const backend = installMockBackend();
+    renderApp({ scenarios: parseScenarios(shippedScenarios).scenarios, greetingPrompt: 'Say hello.' });
+
+    expect(screen.getByLabelText('Call about').value).toBe('general');
+    await startCall();
+    expect(backend.requests.chat[0].body.messages).toEqual([{ role: 'user', content: 'Say hello.' }]);
+    expect(backend.requests.chat[0].body.scenario).toMatchObject({ id: 'general', persona: 'Alex' });
+  });
+});
+
+describe('post-call review', () => {
+  const summaryBox = () => screen.getByLabelText('Summary');
+  const waitForSummary = (text) => waitFor(() => expect(summaryBox().value).toBe(text));
+
+  it('holds the email until the summary, recipients and note are checked', async () => {
+    const backend = installMockBackend();
+    renderApp({ reviewBeforeSend: true, emailRecipients: ['ops@example.com'] });
+
+    await startCall();
+    endCall();
+    await waitForStatus('Check the email before it is sent');
+    await waitForSummary('Caller asked about a mortgage.');
+    expect(screen.getByRole('button', { name: 'Start Call' }).disabled).toBe(true);
+
+    backend.summary = 'Caller wants a 30-year fixed loan.';
+    fireEvent.click(screen.getByRole('button', { name: 'Regenerate summary' }));
+    await waitForSummary('Caller wants a 30-year fixed loan.');
+    fireEvent.change(summaryBox(), { target: { value: 'Caller wants a 30-year fixed loan. Call back Monday.' } });
+
+    const recipients = screen.getByLabelText('Recipients');
+    expect(recipients.value).toBe('ops@example.com');
+    fireEvent.change(recipients, { target: { value: 'ops@example.com, loans@' } });
+    expect(screen.getByText('Not a valid email address: loans@')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Send email' }).disabled).toBe(true);
+    fireEvent.change(recipients, { target: { value: 'ops@example.com, loans@example.com' } });
+    fireEvent.change(screen.getByLabelText('Note for the recipients'), { target: { value: 'Prefers Spanish.' } });
+    expect(backend.requests.email).toHaveLength(0);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Send email' }));
+    await waitForStatus('Email sent successfully');
+    expect(backend.requests.email[0].body).toMatchObject({
+      summary: 'Caller wants a 30-year fixed loan. Call back Monday.',
+      recipients: 'ops@example.com,loans@example.com',
+      note: 'Prefers Spanish.',
+      reviewed: 'true',
+    });
+    expect(backend.requests.summary).toHaveLength(2);
+    expect(screen.queryByLabelText('Summary')).toBeNull();
+
+    const [saved] = await listCalls();
+    expect(saved).toMatchObject({ emailStatus: 'sent', summary: 'Caller wants a 30-year fixed loan. Call back Monday.' });
+  });
+
+  it('keeps the review and its edits through a tab switch and a reload', async () => {
+    const backend = installMockBackend({ replies: [{ assistant: 'Hello! How can I help?' }] });
+    // Unrecorded (consent box left unticked): fake-indexeddb can't clone jsdom's Blobs
+    const config = { reviewBeforeSend: true, emailRecipients: ['ops@example.com'], recordingConsent: 'checkbox' };
+    const { unmount } = renderApp(config);
+
+    await startCall();
+    endCall();
+    await waitForSummary('Caller asked about a mortgage.');
+    fireEvent.change(screen.getByLabelText('Recipients'), { target: { value: 'ops@example.com, loans@example.com' } });
+    fireEvent.change(screen.getByLabelText('Note for the recipients'), { target: { value: 'Prefers Spanish.' } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'History' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Call' }));
+    expect(screen.getByLabelText('Recipients').value).toBe('ops@example.com, loans@example.com');
+    expect(screen.getByLabelText('Note for the recipients').value).toBe('Prefers Spanish.');
+
+    await waitFor(async () => expect((await listOutbox())[0].draft.note).toBe('Prefers Spanish.'));
+    unmount();
+    renderApp(config);
+
+    await waitForSummary('Caller asked about a mortgage.');
+    expect(status()).toBe('Check the email before it is sent');
+    expect(screen.getByText('Hello! How can I help?')).toBeTruthy();
+    expect(screen.getByLabelText('Recipients').value).toBe('ops@example.com, loans@example.com');
+    expect(screen.queryByText('Unsent call summaries')).toBeNull();
+    expect(backend.requests.summary).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Send email' }));
+    await waitForStatus('Email sent successfully');
+    expect(backend.requests.email[0].body).toMatchObject({
+      recipients: 'ops@example.com,loans@example.com', note: 'Prefers Spanish.',
+    });
+    await waitFor(async () => expect(await listOutbox()).toEqual([]));
+    expect((await listCalls())[0].emailStatus).toBe('sent');
+  });
+
+  it('sends nothing when the email is discarded', async () => {
+    const backend = installMockBackend();
+    renderApp({ reviewBeforeSend: true });
+
+    await startCall();
+    endCall();
+    await waitForSummary('Caller asked about a mortgage.');
+    fireEvent.click(screen.getByRole('button', { name: 'Discard' }));
+
+    await waitForStatus('Discarded — no email was sent');
+    expect(backend.requests.email).toHaveLength(0);
+    expect(screen.getByRole('button', { name: 'Start Call' }).disabled).toBe(false);
+    await waitFor(async () => expect((await listCalls())[0].emailStatus).toBe('discarded'));
+    expect(await listOutbox()).toEqual([]);
+  });
+
+  it('lets the reviewer write the summary when it cannot be generated', async () => {
+    const backend = installMockBackend();
+    backend.fail('summary', { status: 500 });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    renderApp({ reviewBeforeSend: true });
+
+    await startCall();
+    endCall();
+    await waitFor(() => expect(screen.getByRole('alert').textContent).toContain('No summary yet'), { timeout: 5000 });
+    fireEvent.change(summaryBox(), { target: { value: 'Caller asked about rates.' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send email' }));
+
+    await waitForStatus('Email sent successfully');
+    expect(backend.requests.email[0].body.summary).toBe('Caller asked about rates.');
+  });
+});
+
+describe('backend failures', () => {
+  it('ends the call when the greeting fails', async () => {
+    const backend = installMockBackend();
+    backend.fail('chat', { status: 500, error: 'model overloaded' });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    renderApp();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Call' }));
+
+    await waitForStatus('Failed to start conversation', 5000);
+    expect(screen.getByRole('button', { name: 'Start Call' })).toBeTruthy();
+  });
+
+  it('recovers from a failed turn', async () => {
+    const backend = installMockBackend({
+      replies: [{ assistant: 'Hi there!' }, { assistant: 'Sorry about that, what was the amount?' }],
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    renderApp();
+
+    await startCall();
+    backend.fail('chat', 'network', { times: 2 });
+    await callerSays('Two hundred thousand');
+
+    await waitFor(() => expect(status()).toContain('Connection problem'), { timeout: 5000 });
+    await callerSays('I said two hundred thousand');
+    await waitFor(() => expect(screen.getByText('Sorry about that, what was the amount?')).toBeTruthy());
+  });
+
+  it('queues the email in the outbox when delivery fails', async () => {
+    const backend = installMockBackend();
+    backend.fail('email', { status: 503 });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    renderApp();
+
+    await startCall();
+    endCall();
+
+    await waitForStatus('saved to the outbox', 5000);
+    const [queued] = await listOutbox();
+    expect(queued.payload.summary).toBe('Caller asked about a mortgage.');
+    const [saved] = await listCalls();
+    expect(saved.emailStatus).toBe('queued');
+    expect(await screen.findByText('Unsent call summaries')).toBeTruthy();
+  });
+});
@@ -0,0 +1,230 @@
+// Shared client for the voice agent backend.
+//
+// Every endpoint has its own timeout and retry budget. `timeoutMs` is how long the response may
+// take to start; after that the body is read under `idleTimeoutMs` (default: timeoutMs), which
+// restarts with every chunk, so a long streamed reply isn't cut off while it keeps arriving.
+// Retries use exponential backoff with
+// jitter and only happen for errors where repeating the request is safe (see isRetryable);
+// /api/email carries an Idempotency-Key so a retried upload can't send the email twice.
+// Pass `signal` to cancel — aborted requests reject with CancelledError.
+
+import { CancelledError, HttpError, NetworkError, TimeoutError, isRetryable } from './errors';
+import { createSentenceSplitter, isStreamingResponse, readChatStream } from '../lib/chatStream';
+import { parseActions } from '../lib/chatActions';
+
+export const ENDPOINTS = {
+  chat:       { path: '/api/chat',       timeoutMs: 30000, retries: 1, idleTimeoutMs: 15000 },
+  summary:    { path: '/api/summary',    timeoutMs: 30000, retries: 2 },
+  email:      { path: '/api/email',      timeoutMs: 60000, retries: 2 },
+  metrics:    { path: '/api/metrics',    timeoutMs: 10000, retries: 0 },
+  transcribe: { path: '/api/transcribe', timeoutMs: 20000, retries: 1 },
+  tts:        { path: '/api/tts',        timeoutMs: 15000, retries: 1 },
+};
+
+const RETRY_BASE_MS = 400;
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+// True once the caller's signal has been aborted
+const abortedBy = (signal) => signal?.aborted;
+
+export const createApiClient = ({ baseUrl, endpoints = ENDPOINTS }) => {
+  // Sends one request with timeout + retries. `read(res, { progress })` runs under the idle
+  // timeout, and calling progress() when data arrives restarts it. Once reading has started,
+  // errors are not retried (a streamed reply may already be playing).
+  const send = async (name, init, { signal, read }) => {
+    const { path, timeoutMs, retries, idleTimeoutMs = timeoutMs } = endpoints[name];
+
+    for (let attempt = 0; ; attempt++) {
+      if (abortedBy(signal)) throw new CancelledError(path);
+
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      let timer = null;
+      let timedOutAfter = null;
+      const arm = (ms) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOutAfter = ms;
+          controller.abort();
+        }, ms);
+      };
+      arm(timeoutMs);
+
+      let reading = false;
+      try {
+        const res = await fetch(`${baseUrl}${path}`, { ...init, signal: controller.signal });
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          throw new HttpError(path, res.status, data.error);
+        }
+        reading = true;
+        arm(idleTimeoutMs);
+        return await read(res, { progress: () => arm(idleTimeoutMs) });
+      } catch (err) {
+        let error = err;
+        if (abortedBy(signal))   error = new CancelledError(path);
+        else if (timedOutAfter)  error = new TimeoutError(path, timedOutAfter);
+        else if (err instanceof TypeError && !reading) error = new NetworkError(path, err);
+
+        if (reading || attempt >= retries || !isRetryable(error)) throw error;
+
+        const backoff = RETRY_BASE_MS * 2 ** attempt;
+        console.warn(`${path} failed (${error.name}), retrying`, error);
+        try {
+          await sleep(backoff / 2 + Math.random() * backoff, signal);
+        } catch {
+          throw new CancelledError(path);
+        }
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    }
+  };
+
+  // Resolves with `{ text, actions }`. onSentence receives each complete sentence while a
+  // streamed reply is still arriving, or the whole reply when the server doesn't stream.
+  // `locale` (a BCP 47 tag like es-US) is the language the agent should answer in, `scenario`
+  // what the call is about and the agent's persona (see scenarioForChat in lib/scenarios).
+  const chat = (messages, { lead, locale, scenario, stream = false, onSentence, signal } = {}) =>
+    send('chat', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: stream ? 'text/event-stream, application/x-ndjson, application/json' : 'application/json',
+      },
+      // The current lead lets the agent see the caller's corrections
+      body: JSON.stringify({ messages, lead, locale, scenario, ...(stream && { stream: true }) }),
+    }, {
+      signal,
+      read: async (res, { progress }) => {
+        if (!isStreamingResponse(res)) {
+          const { assistant, actions } = await res.json();
+          if (assistant) onSentence?.(assistant);
+          return { text: assistant || '', actions: parseActions(actions) };
+        }
+
+        const splitter = createSentenceSplitter(sentence => onSentence?.(sentence));
+        const { text, final } = await readChatStream(res, delta => splitter.push(delta), { onChunk: progress });
+        splitter.flush();
+
+        // Servers may skip deltas and send the whole reply in the closing event
+        if (!text && final?.assistant) onSentence?.(final.assistant);
+        return { text: (text || final?.assistant || '').trim(), actions: parseActions(final?.actions) };
+      },
+    });
+
+  const summary = (transcript, { locale, signal } = {}) =>
+    send('summary', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ transcript, locale }),
+    }, {
+      signal,
+      read: async (res) => {
+        const { summary: text } = await res.json();
+        return text || 'No summary was generated';
+      },
+    });
+
+  // `deliveryId` doubles as the Idempotency-Key, use the same one for every retry of a call
+  // `transcriptJson` is the timed transcript (see lib/transcriptExport). `recordingLayout` and
+  // `agentMarkers` describe what the recording contains (see lib/callRecorder). `consent` is the
+  // caller's recording consent decision (see lib/consent), `metrics` the call's timing report
+  // (see lib/callMetrics). `scenario` is the call scenario's id and `subject` its email subject.
+  // `reviewed` says a person checked the email before it went out, `note` is what they added.
+  const email = ({
+    deliveryId, recipients, subject, scenario, recording, recordingLayout, agentMarkers, consent,
+    metrics: report, transcript, transcriptJson, summary: summaryText, lead, note, reviewed,
+  }, { signal } = {}) => {
+    const form = new FormData();
+    form.append('transcript', transcript  || 'No transcript available');
+    if (transcriptJson) {
+      form.append('transcript_json', JSON.stringify(transcriptJson));
+    }
+    form.append('summary',    summaryText || 'No summary available');
+    form.append('lead',       JSON.stringify(lead || {}));
+    if (consent) {
+      form.append('consent', JSON.stringify(consent));
+    }
+    if (report) {
+      form.append('metrics', JSON.stringify(report));
+    }
+    if (recipients?.length) {
+      form.append('recipients', recipients.join(','));
+    }
+    if (subject) {
+      form.append('subject', subject);
+    }
+    if (scenario) {
+      form.append('scenario', scenario);
+    }
+    if (note) {
+      form.append('note', note);
+    }
+    if (reviewed) {
+      form.append('reviewed', 'true');
+    }
+    if (recording) {
+      form.append('recording', recording, 'mortgage-call.webm');
+      if (recordingLayout) form.append('recording_layout', recordingLayout);
+      if (agentMarkers?.length) form.append('agent_markers', JSON.stringify(agentMarkers));
+    }
+
+    return send('email', {
+      method: 'POST',
+      headers: deliveryId ? { 'Idempotency-Key': deliveryId } : {},
+      body: form,
+    }, {
+      signal,
+      read: res => res.json().catch(() => ({})),
+    });
+  };
+
+  // A batch of turn timings `{ callId, turns, report? }`, see lib/callMetrics. Not retried:
+  // telemetry isn't worth holding up anything else.
+  const metrics = (batch, { signal } = {}) =>
+    send('metrics', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(batch),
+    }, {
+      signal,
+      read: res => res.json().catch(() => ({})),
+    });
+
+  // One utterance of caller audio for the remote STT engine; resolves with its text ('' for silence)
+  const transcribe = (audio, { lang, signal } = {}) => {
+    const form = new FormData();
+    form.append('audio', audio, 'utterance.webm');
+    form.append('lang', lang);
+    return send('transcribe', { method: 'POST', body: form }, {
+      signal,
+      read: async (res) => {
+        const { transcript } = await res.json();
+        return (transcript || '').trim();
+      },
+    });
+  };
+
+  // One sentence of agent speech for the remote TTS engine; resolves with the audio as a Blob
+  const tts = (text, { voice, lang, rate, pitch, signal } = {}) =>
+    send('tts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, voice, lang, rate, pitch }),
+    }, {
+      signal,
+      read: res => res.blob(),
+    });
+
+  return { chat, summary, email, metrics, transcribe, tts };
+};
@@ -0,0 +1,175 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ENDPOINTS, createApiClient } from './client';
+import { CancelledError, HttpError, NetworkError, TimeoutError, describeApiError, isRetryable } from './errors';
+import { translator } from '../lib/i18n';
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+// Never answers; rejects like fetch once its signal is aborted
+const hang = (url, init) => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+});
+
+// A fetch answering with an SSE reply whose events arrive `gapMs` apart. Aborting the request
+// errors the body, like a real fetch.
+const slowStream = (events, gapMs) => (url, init) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async start(controller) {
+      init.signal.addEventListener('abort', () => controller.error(new DOMException('The operation was aborted.', 'AbortError')));
+      for (const event of events) {
+        await new Promise(resolve => setTimeout(resolve, gapMs));
+        if (init.signal.aborted) return;
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+      }
+      controller.close();
+    },
+  });
+  return Promise.resolve(new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } }));
+};
+
+const ENDPOINTS_UNDER_TEST = {
+  ...ENDPOINTS,
+  chat:    { path: '/api/chat',    timeoutMs: 1000, retries: 1, idleTimeoutMs: 500 },
+  summary: { path: '/api/summary', timeoutMs: 1000, retries: 2 },
+};
+
+describe('api client', () => {
+  let fetchMock;
+  let api;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    api = createApiClient({ baseUrl: 'http://backend.test', endpoints: ENDPOINTS_UNDER_TEST });
+  });
+
+  afterEach(() => vi.useRealTimers());
+
+  it('times out a request that gets no response, and retries it', async () => {
+    fetchMock.mockImplementation(hang);
+    const request = expect(api.summary('Agent: Hi')).rejects.toBeInstanceOf(TimeoutError);
+
+    await vi.advanceTimersByTimeAsync(10000);
+    await request;
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up on speech audio that never arrives, so the agent can move on', async () => {
+    fetchMock.mockImplementation(hang);
+    const request = expect(api.tts('Hello', { lang: 'en-US' })).rejects.toBeInstanceOf(TimeoutError);
+
+    await vi.advanceTimersByTimeAsync(ENDPOINTS.tts.timeoutMs * 3);
+    await request;
+    expect(fetchMock).toHaveBeenCalledTimes(ENDPOINTS.tts.retries + 1);
+    expect(fetchMock.mock.calls[0][0]).toBe('http://backend.test/api/tts');
+  });
+
+  it('keeps reading a long streamed reply while chunks keep coming', async () => {
+    const events = ['One. ', 'Two. ', 'Three. ', 'Four. '].map(delta => ({ delta }));
+    fetchMock.mockImplementation(slowStream([...events, { done: true }], 400));
+    const sentences = [];
+
+    const reply = api.chat([], { stream: true, onSentence: s => sentences.push(s) });
+    await vi.advanceTimersByTimeAsync(2500);
+
+    await expect(reply).resolves.toMatchObject({ text: 'One. Two. Three. Four.' });
+    expect(sentences).toEqual(['One.', 'Two.', 'Three.', 'Four.']);
+  });
+
+  it('gives up on a stream that stalls, without retrying it', async () => {
+    fetchMock.mockImplementation(slowStream([{ delta: 'Hello. ' }, { delta: 'Too late.' }], 800));
+    const reply = expect(api.chat([], { stream: true })).rejects.toMatchObject({ name: 'TimeoutError', timeoutMs: 500 });
+
+    await vi.advanceTimersByTimeAsync(3000);
+    await reply;
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits a jittered, growing backoff between retries', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+    const request = expect(api.summary('Agent: Hi')).rejects.toBeInstanceOf(NetworkError);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(399);     // 400 ms ± 50%
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(800);     // then twice as long
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    await request;
+  });
+
+  it('only retries errors where repeating the request is safe', async () => {
+    fetchMock.mockResolvedValue(json({ error: 'bad transcript' }, 400));
+    const rejected = expect(api.summary('x')).rejects.toMatchObject({ name: 'HttpError', status: 400, message: 'bad transcript' });
+    await vi.advanceTimersByTimeAsync(5000);
+    await rejected;
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    fetchMock.mockReset();
+    fetchMock.mockResolvedValueOnce(json({}, 503)).mockResolvedValueOnce(json({ summary: 'Done' }));
+    const retried = api.summary('x');
+    await vi.advanceTimersByTimeAsync(5000);
+    await expect(retried).resolves.toBe('Done');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends the delivery id as the Idempotency-Key of every email attempt', async () => {
+    fetchMock.mockResolvedValueOnce(json({}, 502)).mockResolvedValueOnce(json({ ok: true }));
+    const sent = api.email({ deliveryId: 'call-1', transcript: 'Agent: Hi' });
+    await vi.advanceTimersByTimeAsync(5000);
+    await sent;
+
+    expect(fetchMock.mock.calls.map(([, init]) => init.headers['Idempotency-Key'])).toEqual(['call-1', 'call-1']);
+  });
+
+  it('rejects with CancelledError when the caller aborts', async () => {
+    const controller = new AbortController();
+    fetchMock.mockImplementation(hang);
+    const inFlight = expect(api.chat([], { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+    controller.abort();
+    await inFlight;
+
+    await expect(api.chat([], { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects with CancelledError when aborted during the backoff', async () => {
+    const controller = new AbortController();
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+    const request = expect(api.summary('x', { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await request;
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('api errors', () => {
+  it('retries timeouts, network errors, 408, 429 and 5xx only', () => {
+    expect(isRetryable(new TimeoutError('/api/chat', 1000))).toBe(true);
+    expect(isRetryable(new NetworkError('/api/chat', new TypeError()))).toBe(true);
+    expect([408, 429, 500, 503].every(status => isRetryable(new HttpError('/api/chat', status)))).toBe(true);
+    expect([400, 401, 404, 422].some(status => isRetryable(new HttpError('/api/chat', status)))).toBe(false);
+    expect(isRetryable(new CancelledError('/api/chat'))).toBe(false);
+    expect(isRetryable(new Error('boom'))).toBe(false);
+  });
+
+  it('describes each error for the status line', () => {
+    const t = translator('en');
+    expect(describeApiError(new TimeoutError('/api/chat', 1000), t)).toBe(t('error.timeout'));
+    expect(describeApiError(new NetworkError('/api/chat'), t)).toBe(t('error.network'));
+    expect(describeApiError(new HttpError('/api/chat', 429), t)).toBe(t('error.busy'));
+    expect(describeApiError(new HttpError('/api/chat', 502), t)).toBe(t('error.server'));
+    expect(describeApiError(new HttpError('/api/chat', 403), t)).toBe(t('error.rejected', { status: 403 }));
+    expect(describeApiError(new CancelledError('/api/chat'), t)).toBe('');
+    expect(describeApiError(new Error('boom'), t)).toBe(t('error.unknown'));
+  });
+});
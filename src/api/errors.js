@@ -0,0 +1,63 @@
+// Error types raised by the API client. The UI maps them to status messages with describeApiError.
+
+import { translator } from '../lib/i18n';
+
+export class ApiError extends Error {
+  constructor(message, { endpoint, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.endpoint = endpoint;
+  }
+}
+
+// No response within the endpoint's time budget
+export class TimeoutError extends ApiError {
+  constructor(endpoint, timeoutMs) {
+    super(`${endpoint} timed out after ${timeoutMs} ms`, { endpoint });
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// fetch itself failed: offline, DNS, CORS, connection reset...
+export class NetworkError extends ApiError {
+  constructor(endpoint, cause) {
+    super(`${endpoint} could not be reached`, { endpoint, cause });
+    this.name = 'NetworkError';
+  }
+}
+
+// The server answered with a non-2xx status
+export class HttpError extends ApiError {
+  constructor(endpoint, status, detail) {
+    super(detail || `${endpoint} failed with status ${status}`, { endpoint });
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// The request was aborted on purpose, e.g. the call ended or the caller barged in
+export class CancelledError extends ApiError {
+  constructor(endpoint) {
+    super(`${endpoint} was cancelled`, { endpoint });
+    this.name = 'CancelledError';
+  }
+}
+
+export const isRetryable = (err) =>
+  err instanceof TimeoutError ||
+  err instanceof NetworkError ||
+  (err instanceof HttpError && (err.status === 408 || err.status === 429 || err.status >= 500));
+
+// `t` is a translator from lib/i18n, English by default
+export const describeApiError = (err, t = translator('en')) => {
+  if (err instanceof CancelledError) return '';
+  if (err instanceof TimeoutError)   return t('error.timeout');
+  if (err instanceof NetworkError)   return t('error.network');
+  if (err instanceof HttpError) {
+    if (err.status === 429) return t('error.busy');
+    if (err.status >= 500)  return t('error.server');
+    return t('error.rejected', { status: err.status });
+  }
+  return t('error.unknown');
+};
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import { formatOffset } from '../lib/transcriptExport';
+
+const WARNING_MS = 60_000;
+
+// Time left until the call hits its maximum length (`deadline`, a Date.now() timestamp)
+function CallCountdown({ deadline, t }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const left = Math.max(0, deadline - now);
+  return (
+    <div className={`call-countdown${left <= WARNING_MS ? ' warning' : ''}`} role="timer">
+      {t('call.timeLeft', { time: formatOffset(left) })}
+    </div>
+  );
+}
+
+export default CallCountdown;
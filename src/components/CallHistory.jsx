@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react';
+import TranscriptPanel from './TranscriptPanel';
+import RecordingPlayer from './RecordingPlayer';
+import TranscriptExports from './TranscriptExports';
+import { deleteCall, listCalls, matchesSearch } from '../storage/callHistory';
+import { LEAD_FIELDS, leadValueLabel } from '../lib/lead';
+
+const EMAIL_STATUSES = ['review', 'discarded', 'sending', 'sent', 'queued', 'failed'];
+
+const formatDuration = (ms) => {
+  const total = Math.round((ms || 0) / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+function CallDetails({ call, onDelete, t }) {
+  const [showUnredacted, setShowUnredacted] = useState(false);
+  const lines = showUnredacted && call.transcriptUnredacted ? call.transcriptUnredacted : call.transcript;
+  const leadEntries = LEAD_FIELDS.filter(f => call.lead?.[f.key] != null);
+
+  return (
+    <div className="history-details">
+      {!call.recording && <div className="history-muted">{t('history.noRecording')}</div>}
+
+      <h3>{t('history.summary')}</h3>
+      <p>{call.summary || t('history.noSummary')}</p>
+
+      {leadEntries.length > 0 && (
+        <>
+          <h3>{t('history.lead')}</h3>
+          <dl className="history-lead">
+            {leadEntries.map(f => (
+              <div key={f.key}>
+                <dt>{t(`lead.${f.key}`)}</dt>
+                <dd>{leadValueLabel(f, call.lead[f.key], t)}</dd>
+              </div>
+            ))}
+          </dl>
+        </>
+      )}
+
+      <h3>{t('history.transcript')}</h3>
+      {call.transcriptUnredacted && (
+        <label className="history-unredacted">
+          <input type="checkbox" checked={showUnredacted} onChange={e => setShowUnredacted(e.target.checked)} />
+          {t('history.showUnredacted')}
+        </label>
+      )}
+      {call.recording
+        ? <RecordingPlayer recording={call.recording} lines={lines} t={t} />
+        : <TranscriptPanel lines={lines} t={t} />}
+      <TranscriptExports lines={lines} call={call} baseName={`call-${call.id}`} t={t} />
+
+      <button className="small-btn danger" onClick={() => onDelete(call.id)}>
+        {t('history.delete')}
+      </button>
+    </div>
+  );
+}
+
+function CallHistory({ t }) {
+  const [calls, setCalls]       = useState(null);
+  const [error, setError]       = useState('');   // i18n key
+  const [query, setQuery]       = useState('');
+  const [openId, setOpenId]     = useState(null);
+
+  useEffect(() => {
+    listCalls()
+      .then(setCalls)
+      .catch(err => {
+        console.error('Could not load call history:', err);
+        setError('history.unavailable');
+        setCalls([]);
+      });
+  }, []);
+
+  const handleDelete = async (id) => {
+    if (!window.confirm(t('history.deleteConfirm'))) return;
+    try {
+      await deleteCall(id);
+      setCalls(current => current.filter(c => c.id !== id));
+      setOpenId(null);
+    } catch (err) {
+      console.error('Could not delete call:', err);
+      setError('history.deleteFailed');
+    }
+  };
+
+  if (!calls) return <div className="history-muted">{t('history.loading')}</div>;
+
+  const visible = calls.filter(c => matchesSearch(c, query));
+
+  return (
+    <div className="call-history">
+      <input
+        type="search"
+        className="history-search"
+        placeholder={t('history.search')}
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+      />
+
+      {error && <div className="history-error">{t(error)}</div>}
+      {calls.length === 0 && !error && <div className="history-muted">{t('history.empty')}</div>}
+      {calls.length > 0 && visible.length === 0 && <div className="history-muted">{t('history.noMatches')}</div>}
+
+      <ul className="history-list">
+        {visible.map(call => (
+          <li key={call.id} className={openId === call.id ? 'open' : ''}>
+            <button className="history-item" onClick={() => setOpenId(openId === call.id ? null : call.id)}>
+              <span className="history-date">{new Date(call.startedAt).toLocaleString()}</span>
+              <span className="history-duration">{formatDuration(call.durationMs)}</span>
+              <span className={`history-status ${call.emailStatus}`}>
+                {EMAIL_STATUSES.includes(call.emailStatus) ? t(`history.status.${call.emailStatus}`) : call.emailStatus}
+              </span>
+            </button>
+            {openId === call.id && <CallDetails call={call} onDelete={handleDelete} t={t} />}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default CallHistory;
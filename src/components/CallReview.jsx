@@ -0,0 +1,78 @@
+import RecordingPlayer from './RecordingPlayer';
+import TranscriptPanel from './TranscriptPanel';
+import { describeApiError } from '../api/errors';
+import { parseRecipients } from '../lib/recipients';
+
+// Post-call check of the email before it goes out (reviewBeforeSend). `review` comes from
+// useVoiceCall, which keeps every edit through onChange, so they survive tab switches and reloads.
+function CallReview({ review, lines, recordingUrl, onChange, onRegenerate, onSend, onDiscard, t }) {
+  const { recipientsText, note } = review;
+  const { recipients, invalid } = parseRecipients(recipientsText);
+  const loading = review.summaryStatus === 'loading';
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!invalid.length) onSend({ recipients, note });
+  };
+
+  return (
+    <form className="call-review" onSubmit={submit}>
+      <h2>{t('review.title')}</h2>
+
+      {recordingUrl
+        ? <RecordingPlayer recording={recordingUrl} lines={lines} t={t} />
+        : <TranscriptPanel lines={lines} t={t} />}
+
+      <label className="review-field">
+        <span>{t('review.summary')}</span>
+        <textarea
+          rows={6}
+          value={review.summary}
+          placeholder={loading ? t('review.summaryLoading') : ''}
+          disabled={loading}
+          onChange={e => onChange({ summary: e.target.value })}
+        />
+      </label>
+      {review.summaryStatus === 'failed' && (
+        <p className="review-error" role="alert">
+          {t('review.summaryFailed', { error: describeApiError(review.summaryError, t) })}
+        </p>
+      )}
+      <button type="button" className="small-btn" onClick={onRegenerate} disabled={loading}>
+        {t('review.regenerate')}
+      </button>
+
+      <label className="review-field">
+        <span>{t('review.recipients')}</span>
+        <input
+          type="text"
+          value={recipientsText}
+          aria-invalid={invalid.length > 0}
+          aria-describedby="review-recipients-hint"
+          onChange={e => onChange({ recipientsText: e.target.value })}
+        />
+      </label>
+      <p id="review-recipients-hint" className={invalid.length ? 'review-error' : 'review-hint'}>
+        {invalid.length
+          ? t('review.recipientsInvalid', { addresses: invalid.join(', ') })
+          : t('review.recipientsHint')}
+      </p>
+
+      <label className="review-field">
+        <span>{t('review.note')}</span>
+        <textarea rows={3} value={note} onChange={e => onChange({ note: e.target.value })} />
+      </label>
+
+      <div className="review-actions">
+        <button type="submit" className="big-btn start" disabled={loading || invalid.length > 0}>
+          {t('review.send')}
+        </button>
+        <button type="button" className="big-btn end" onClick={onDiscard}>
+          {t('review.discard')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default CallReview;
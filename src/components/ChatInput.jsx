@@ -0,0 +1,34 @@
+import { useState } from 'react';
+
+// Text box for text mode. The draft survives while the agent is answering; `onSend` returns
+// false when the message wasn't taken, and the draft is kept then too. `onTyping` fires on
+// every keystroke, so a caller who is busy typing doesn't count as silent.
+function ChatInput({ canSend, onSend, onTyping, t }) {
+  const [draft, setDraft] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (onSend(draft)) setDraft('');
+  };
+
+  return (
+    <form className="chat-input" onSubmit={submit}>
+      <input
+        type="text"
+        value={draft}
+        placeholder={t('input.placeholder')}
+        aria-label={t('input.placeholder')}
+        onChange={e => {
+          setDraft(e.target.value);
+          onTyping?.();
+        }}
+        autoFocus
+      />
+      <button type="submit" className="small-btn" disabled={!canSend || !draft.trim()}>
+        {t('input.send')}
+      </button>
+    </form>
+  );
+}
+
+export default ChatInput;
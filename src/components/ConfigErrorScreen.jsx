@@ -0,0 +1,17 @@
+function ConfigErrorScreen({ error }) {
+  const problems = error.problems || [error.message];
+
+  return (
+    <div className="voice-agent-app">
+      <div className="main-content config-error">
+        <h1>Configuration problem</h1>
+        <p className="subtitle">The voice agent can't start until these settings are fixed:</p>
+        <ul>
+          {problems.map((problem, i) => <li key={i}>{problem}</li>)}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default ConfigErrorScreen;
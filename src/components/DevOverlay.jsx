@@ -0,0 +1,84 @@
+// Developer overlay with live call telemetry (see lib/callMetrics) and the size of the last
+// /api/chat request (see lib/chatContext), shown when `devOverlay` is configured.
+// Developer-facing, so not translated.
+
+const TIMINGS = [
+  ['recognitionMs',   'Recognition'],
+  ['chatMs',          'Chat'],
+  ['firstSentenceMs', 'First sentence'],
+  ['speechStartMs',   'Until speech'],
+  ['ttsMs',           'Speaking'],
+];
+
+const ms = (value) => (value == null ? '–' : `${value} ms`);
+
+function TurnTimings({ metrics }) {
+  const last = metrics.turns.at(-1);
+  const errors = Object.entries(metrics.recognitionErrors);
+
+  return (
+    <section>
+      <h3>Turn timings</h3>
+      <table>
+        <thead>
+          <tr><th /><th>Last</th><th>p50</th><th>p90</th><th>Max</th></tr>
+        </thead>
+        <tbody>
+          {TIMINGS.map(([field, label]) => {
+            const summary = metrics.summary[field];
+            return (
+              <tr key={field}>
+                <th scope="row">{label}</th>
+                <td>{ms(last?.[field])}</td>
+                <td>{ms(summary?.p50)}</td>
+                <td>{ms(summary?.p90)}</td>
+                <td>{ms(summary?.max)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <dl>
+        <dt>Turns</dt>
+        <dd>{metrics.turns.length}{last ? ` (last: ${last.trigger}${last.interrupted ? ', interrupted' : ''})` : ''}</dd>
+        <dt>Recognizer restarts</dt>
+        <dd>{metrics.recognitionRestarts}</dd>
+        <dt>Recognizer errors</dt>
+        <dd>{errors.length ? errors.map(([error, count]) => `${error} ×${count}`).join(', ') : 'none'}</dd>
+      </dl>
+    </section>
+  );
+}
+
+function ChatContext({ context }) {
+  const percent = Math.round((context.chars / context.budgetChars) * 100);
+  return (
+    <section>
+      <h3>Chat context</h3>
+      <dl>
+        <dt>Messages sent</dt>
+        <dd>{context.sentMessages} of {context.totalMessages}</dd>
+        <dt>Summarized</dt>
+        <dd>{context.foldedMessages}</dd>
+        <dt>Dropped</dt>
+        <dd>{context.droppedMessages}</dd>
+        <dt>Pinned facts</dt>
+        <dd>{context.pinnedFacts}</dd>
+        <dt>Size</dt>
+        <dd>{context.chars} chars (~{context.tokens} tokens), {percent}% of budget</dd>
+      </dl>
+    </section>
+  );
+}
+
+function DevOverlay({ metrics, context }) {
+  if (!metrics && !context) return null;
+  return (
+    <aside className="dev-overlay" aria-label="Call metrics">
+      {metrics && <TurnTimings metrics={metrics} />}
+      {context && <ChatContext context={context} />}
+    </aside>
+  );
+}
+
+export default DevOverlay;
@@ -0,0 +1,23 @@
+import { InputMode } from '../lib/callMachine';
+
+function InputModeSwitch({ mode, onChange, speakReplies, onSpeakRepliesChange, t }) {
+  return (
+    <div className="input-mode">
+      <div className="input-mode-buttons" role="group" aria-label={t('input.mode')}>
+        {Object.values(InputMode).map(m => (
+          <button key={m} className="small-btn" aria-pressed={mode === m} onClick={() => onChange(m)}>
+            {t(`input.${m}`)}
+          </button>
+        ))}
+      </div>
+      {mode === InputMode.TEXT && (
+        <label className="input-speak">
+          <input type="checkbox" checked={speakReplies} onChange={e => onSpeakRepliesChange(e.target.checked)} />
+          {t('input.speakReplies')}
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default InputModeSwitch;
@@ -0,0 +1,19 @@
+import { languageName } from '../lib/i18n';
+
+function LanguageSelect({ languages, value, label, onChange }) {
+  // The configured default may not be in the list
+  const options = languages.includes(value) ? languages : [value, ...languages];
+
+  return (
+    <label className="language-select">
+      <span>{label}</span>
+      <select value={value} onChange={e => onChange(e.target.value)}>
+        {options.map(lang => (
+          <option key={lang} value={lang}>{languageName(lang)}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguageSelect;
@@ -0,0 +1,63 @@
+import { LEAD_FIELDS, leadValueLabel } from '../lib/lead';
+
+// `requiredKeys` are the lead fields the call's scenario needs (see lib/scenarios)
+function LeadPanel({ lead, editedKeys, requiredKeys = [], onChange, t }) {
+  const renderInput = (field) => {
+    const value = lead[field.key];
+    const id = `lead-${field.key}`;
+    const required = requiredKeys.includes(field.key);
+
+    if (field.type === 'select') {
+      return (
+        <select id={id} value={value ?? ''} aria-required={required} onChange={e => onChange(field.key, e.target.value || null)}>
+          <option value="">—</option>
+          {field.options.map(o => <option key={o} value={o}>{leadValueLabel(field, o, t)}</option>)}
+        </select>
+      );
+    }
+
+    if (field.type === 'money') {
+      return (
+        <input
+          id={id}
+          type="number"
+          min="0"
+          step="1000"
+          inputMode="numeric"
+          aria-required={required}
+          value={value ?? ''}
+          onChange={e => onChange(field.key, e.target.value === '' ? null : Number(e.target.value))}
+        />
+      );
+    }
+
+    return (
+      <input
+        id={id}
+        type={field.type}
+        aria-required={required}
+        value={value ?? ''}
+        onChange={e => onChange(field.key, e.target.value || null)}
+      />
+    );
+  };
+
+  return (
+    <aside className="lead-panel" aria-label={t('lead.title')}>
+      <h2>{t('lead.title')}</h2>
+      <p className="lead-hint">{t('lead.hint')}</p>
+
+      {LEAD_FIELDS.map(field => (
+        <div key={field.key} className={`lead-field ${editedKeys.has(field.key) ? 'edited' : ''}`}>
+          <label htmlFor={`lead-${field.key}`}>
+            {t(`lead.${field.key}`)}
+            {requiredKeys.includes(field.key) && <abbr className="lead-required" title={t('lead.required')}> *</abbr>}
+          </label>
+          {renderInput(field)}
+        </div>
+      ))}
+    </aside>
+  );
+}
+
+export default LeadPanel;
@@ -0,0 +1,44 @@
+import { PROCESSING_OPTIONS } from '../lib/microphone';
+
+function MicrophonePanel({ settings, devices, inCall, onChange, t }) {
+  // A saved device that is currently unplugged stays selectable so the choice isn't lost
+  const missing = settings.deviceId && !devices.some(d => d.deviceId === settings.deviceId);
+
+  return (
+    <section className="mic-settings" aria-label={t('mic.title')}>
+      <h2>{t('mic.title')}</h2>
+
+      <div className="voice-setting">
+        <label htmlFor="mic-device">{t('mic.device')}</label>
+        <select
+          id="mic-device"
+          value={settings.deviceId}
+          disabled={inCall}
+          onChange={e => onChange({ deviceId: e.target.value })}
+        >
+          <option value="">{t('mic.default')}</option>
+          {devices.map((d, i) => (
+            <option key={d.deviceId} value={d.deviceId}>{d.label || t('mic.unnamed', { n: i + 1 })}</option>
+          ))}
+          {missing && <option value={settings.deviceId}>{t('mic.unplugged')}</option>}
+        </select>
+      </div>
+      {inCall && <p className="mic-hint">{t('mic.changeAfterCall')}</p>}
+
+      {PROCESSING_OPTIONS.map(key => (
+        <label key={key} className="mic-option">
+          <input type="checkbox" checked={settings[key]} onChange={e => onChange({ [key]: e.target.checked })} />
+          {t(`mic.${key}`)}
+        </label>
+      ))}
+
+      <div className="voice-setting">
+        <span>{t('mic.level')}</span>
+        {/* --mic-level is set on the app root while a call is running */}
+        <div className="mic-level" role="presentation"><div className="mic-level-bar" /></div>
+      </div>
+    </section>
+  );
+}
+
+export default MicrophonePanel;
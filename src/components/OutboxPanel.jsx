@@ -0,0 +1,39 @@
+const STATUSES = ['pending', 'retrying', 'failed'];
+
+function OutboxPanel({ items, onRetry, onDiscard, t }) {
+  if (!items.length) return null;
+
+  const handleDiscard = (id) => {
+    if (window.confirm(t('outbox.discardConfirm'))) onDiscard(id);
+  };
+
+  return (
+    <div className="outbox-panel">
+      <h2>{t('outbox.title')}</h2>
+      <ul>
+        {items.map(item => (
+          <li key={item.id} className={`outbox-item ${item.status}`}>
+            <div className="outbox-info">
+              <span>{new Date(item.createdAt).toLocaleString()}</span>
+              <span className="outbox-status">
+                {STATUSES.includes(item.status) ? t(`outbox.${item.status}`) : item.status}
+                {item.status === 'pending' && ` · ${t('outbox.nextTry', { time: new Date(item.nextAttemptAt).toLocaleTimeString() })}`}
+              </span>
+              {item.lastError && <span className="outbox-error">{item.lastError}</span>}
+            </div>
+            <div className="outbox-actions">
+              <button className="small-btn" disabled={item.status === 'retrying'} onClick={() => onRetry(item.id)}>
+                {t('outbox.retry')}
+              </button>
+              <button className="small-btn danger" disabled={item.status === 'retrying'} onClick={() => handleDiscard(item.id)}>
+                {t('outbox.discard')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default OutboxPanel;
@@ -0,0 +1,44 @@
+import { useEffect, useRef, useState } from 'react';
+import TranscriptPanel from './TranscriptPanel';
+import { activeLineIndex } from '../lib/transcriptExport';
+
+// Recording plus its transcript; clicking a line's time seeks the audio to it.
+// `recording` is an object URL or a Blob (call history keeps Blobs in IndexedDB).
+function RecordingPlayer({ recording, lines, t }) {
+  const audioRef = useRef(null);
+  const [position, setPosition] = useState(0);   // ms into the recording
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!recording || !audio) return;
+    if (typeof recording === 'string') {
+      audio.src = recording;
+      return;
+    }
+    const url = URL.createObjectURL(recording);
+    audio.src = url;
+    return () => URL.revokeObjectURL(url);
+  }, [recording]);
+
+  const seek = (line) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = line.start / 1000;
+    setPosition(line.start);
+    audio.play()?.catch(err => console.warn('Playback did not start:', err));
+  };
+
+  return (
+    <div className="recording-player">
+      <audio
+        ref={audioRef}
+        controls
+        aria-label={t('recording.player')}
+        onTimeUpdate={e => setPosition(e.currentTarget.currentTime * 1000)}
+      />
+      <TranscriptPanel lines={lines} onSeek={seek} activeIndex={activeLineIndex(lines, position)} t={t} />
+    </div>
+  );
+}
+
+export default RecordingPlayer;
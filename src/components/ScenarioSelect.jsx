@@ -0,0 +1,20 @@
+// Picks the call scenario before a call; the description says what the call will cover
+function ScenarioSelect({ scenarios, value, onChange, t }) {
+  const selected = scenarios.find(s => s.id === value) ?? scenarios[0];
+
+  return (
+    <div className="scenario-select">
+      <label>
+        <span>{t('scenario.label')}</span>
+        <select value={selected.id} onChange={e => onChange(e.target.value)}>
+          {scenarios.map(scenario => (
+            <option key={scenario.id} value={scenario.id}>{scenario.name}</option>
+          ))}
+        </select>
+      </label>
+      {selected.description && <p className="scenario-description">{selected.description}</p>}
+    </div>
+  );
+}
+
+export default ScenarioSelect;
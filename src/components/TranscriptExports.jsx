@@ -0,0 +1,27 @@
+import { downloadText } from '../lib/download';
+import { toSrt, toTranscriptJson, toWebVtt } from '../lib/transcriptExport';
+
+const FORMATS = [
+  { key: 'vtt',  type: 'text/vtt',             build: (lines) => toWebVtt(lines) },
+  { key: 'srt',  type: 'application/x-subrip', build: (lines) => toSrt(lines) },
+  { key: 'json', type: 'application/json',     build: (lines, call) => JSON.stringify(toTranscriptJson(lines, call), null, 2) },
+];
+
+// Transcript download buttons; `call` carries the call details for toTranscriptJson
+function TranscriptExports({ lines, call, baseName = 'mortgage-call', t }) {
+  return (
+    <div className="transcript-exports">
+      {FORMATS.map(f => (
+        <button
+          key={f.key}
+          className="small-btn"
+          onClick={() => downloadText(`${baseName}.${f.key}`, f.build(lines, call), f.type)}
+        >
+          {t(`export.${f.key}`)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default TranscriptExports;
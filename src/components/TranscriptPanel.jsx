@@ -0,0 +1,74 @@
+import { useEffect, useRef } from 'react';
+import { formatOffset } from '../lib/transcriptExport';
+
+const ROLE_LABELS = { user: 'transcript.you', agent: 'transcript.agent', system: 'transcript.note' };
+
+// Masks from lib/redaction are highlighted so reviewers can see what was taken out
+const withRedactions = (line, t) => {
+  if (!line.redactions?.length) return line.text;
+  const parts = [];
+  let last = 0;
+  line.redactions.forEach(({ label, start, end }, i) => {
+    parts.push(line.text.slice(last, start));
+    parts.push(
+      <mark key={i} className="redacted" title={t('transcript.redacted', { label })}>
+        {line.text.slice(start, end)}
+      </mark>,
+    );
+    last = end;
+  });
+  parts.push(line.text.slice(last));
+  return parts;
+};
+
+// With `onSeek` (after the call, next to the recording) timed lines show their offset and
+// jump the player there when clicked; `activeIndex` marks the line being played.
+// `chat` lays the turns out as chat bubbles (text mode).
+function TranscriptPanel({ lines, interimText, onSeek, activeIndex = -1, chat = false, t }) {
+  const bottomRef = useRef(null);
+
+  // Keep the newest turn in view as the call progresses
+  useEffect(() => {
+    if (onSeek) return;
+    bottomRef.current?.scrollIntoView?.({ block: 'end' });
+  }, [lines, interimText, onSeek]);
+
+  return (
+    <div className={`transcript-panel${chat ? ' chat' : ''}`} role="log" aria-live="polite" aria-label={t('transcript.label')}>
+      {lines.length === 0 && !interimText && (
+        <div className="transcript-empty">{t('transcript.empty')}</div>
+      )}
+
+      {lines.map((line, i) => (
+        <div key={i} className={`transcript-line ${line.role}${i === activeIndex ? ' active' : ''}`}>
+          <span className="transcript-role">{t(ROLE_LABELS[line.role] || 'transcript.agent')}</span>
+          <span className="transcript-text">
+            {onSeek && line.start != null && (
+              <button
+                className="transcript-time"
+                onClick={() => onSeek(line)}
+                aria-label={t('player.seek', { time: formatOffset(line.start) })}
+              >
+                {formatOffset(line.start)}
+              </button>
+            )}
+            {withRedactions(line, t)}
+            {line.interrupted && <span className="transcript-flag">{t('transcript.interrupted')}</span>}
+            {line.typed && !chat && <span className="transcript-flag typed">{t('transcript.typed')}</span>}
+          </span>
+        </div>
+      ))}
+
+      {interimText && (
+        <div className="transcript-line user interim">
+          <span className="transcript-role">{t('transcript.you')}</span>
+          <span className="transcript-text">{interimText}</span>
+        </div>
+      )}
+
+      <div ref={bottomRef} />
+    </div>
+  );
+}
+
+export default TranscriptPanel;
@@ -0,0 +1,59 @@
+import { baseLanguage } from '../lib/i18n';
+import { VOICE_RANGES } from '../lib/voiceSettings';
+
+function VoiceSettingsPanel({ settings, voices, lang, canPreview, onChange, onPreview, onReset, t }) {
+  const base = baseLanguage(lang);
+  // Only voices that can speak the call language; the whole list if the browser reports none
+  const matching = voices.filter(v => baseLanguage(v.lang) === base);
+  const options = matching.length ? matching : voices;
+  const selected = settings.voices[base] ?? '';
+
+  const slider = (key, format) => (
+    <div className="voice-setting">
+      <label htmlFor={`voice-${key}`}>{t(`voice.${key}`)}</label>
+      <input
+        id={`voice-${key}`}
+        type="range"
+        {...VOICE_RANGES[key]}
+        value={settings[key]}
+        onChange={e => onChange({ [key]: Number(e.target.value) })}
+      />
+      <output htmlFor={`voice-${key}`}>{format(settings[key])}</output>
+    </div>
+  );
+
+  return (
+    <section className="voice-settings" aria-label={t('voice.title')}>
+      <h2>{t('voice.title')}</h2>
+
+      {voices.length > 0 && (
+        <div className="voice-setting">
+          <label htmlFor="voice-name">{t('voice.voice')}</label>
+          <select
+            id="voice-name"
+            value={selected}
+            onChange={e => onChange({ voices: { ...settings.voices, [base]: e.target.value || null } })}
+          >
+            <option value="">{t('voice.automatic')}</option>
+            {options.map(v => (
+              <option key={v.name} value={v.name}>{v.name} ({v.lang})</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {slider('rate',   v => `${v.toFixed(2)}×`)}
+      {slider('pitch',  v => v.toFixed(2))}
+      {slider('volume', v => `${Math.round(v * 100)}%`)}
+
+      <div className="voice-actions">
+        <button className="small-btn" onClick={onPreview} disabled={!canPreview}>
+          {t('voice.preview')}
+        </button>
+        <button className="small-btn" onClick={onReset}>{t('voice.reset')}</button>
+      </div>
+    </section>
+  );
+}
+
+export default VoiceSettingsPanel;
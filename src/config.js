@@ -0,0 +1,259 @@
+// Runtime configuration.
+//
+// Values are resolved in this order, later sources winning:
+//   1. built-in defaults
+//   2. Vite env variables (VITE_API_BASE, VITE_SPEECH_LANG, ... see SETTINGS below)
+//   3. a JSON object fetched from `configUrl` (default /config.json) — optional
+//   4. URL query parameters (?lang=es-US&ttsEngine=remote), only when allowUrlOverrides is on
+// so the same build can be deployed to staging and production. Call scenarios come from their
+// own JSON file (`scenariosUrl`) into `config.scenarios`, see lib/scenarios.
+// loadConfig validates the result and rejects with a ConfigError listing every problem.
+
+import { CONSENT_MODES } from './lib/consent';
+import { DETECTOR_NAMES, compileRule } from './lib/redaction';
+import { parseRecipients } from './lib/recipients';
+import { parseScenarios } from './lib/scenarios';
+
+const env = import.meta.env;
+
+const ENGINES = ['auto', 'browser', 'remote'];
+
+// key -> { env variable, type, default }
+const SETTINGS = {
+  apiBase:               { env: 'VITE_API_BASE',                  type: 'url',     default: 'https://agent.omnisuiteai.com' },
+  lang:                  { env: 'VITE_SPEECH_LANG',               type: 'lang',    default: 'en-US' },
+  // Offered in the language selector; `lang` is the initial choice
+  languages:             { env: 'VITE_LANGUAGES',                 type: 'langs',   default: ['en-US', 'es-US', 'zh-CN', 'vi-VN'] },
+  ttsRate:               { env: 'VITE_TTS_RATE',                  type: 'number',  default: 1.5, min: 0.1, max: 10 },
+  // Regex matched against voice names; the first matching voice becomes the default
+  voicePreference:       { env: 'VITE_TTS_VOICE',                 type: 'regex',   default: 'Google|Microsoft|Natural' },
+  greetingPrompt:        { env: 'VITE_GREETING_PROMPT',           type: 'string',  default: 'Start the conversation with a greeting.' },
+  // Extra recipients for the summary email, on top of whatever the backend sends to
+  emailRecipients:       { env: 'VITE_EMAIL_RECIPIENTS',          type: 'emails',  default: [] },
+  // Hold the email after each call until someone has checked the summary and recipients
+  reviewBeforeSend:      { env: 'VITE_REVIEW_BEFORE_SEND',        type: 'boolean', default: false },
+  sttEngine:             { env: 'VITE_STT_ENGINE',                type: 'enum',    default: 'auto', options: ENGINES },
+  ttsEngine:             { env: 'VITE_TTS_ENGINE',                type: 'enum',    default: 'auto', options: ENGINES },
+  // Keep the recognizer running while the agent talks so the caller can cut in
+  bargeIn:               { env: 'VITE_BARGE_IN',                  type: 'boolean', default: true },
+  // Ask /api/chat for a streamed reply; plain JSON answers still work
+  streamChat:            { env: 'VITE_STREAM_CHAT',               type: 'boolean', default: true },
+  // Seconds without a word from the caller before the agent asks if they're still there
+  // (0 = never), and how many of those prompts go unanswered before the call is ended
+  silenceTimeoutSec:     { env: 'VITE_SILENCE_TIMEOUT_SEC',       type: 'number',  default: 20, min: 0, max: 600 },
+  silencePrompts:        { env: 'VITE_SILENCE_PROMPTS',           type: 'number',  default: 2, min: 0, max: 10 },
+  // Hard limit on a call's length, with a countdown on screen (0 = no limit)
+  maxCallMinutes:        { env: 'VITE_MAX_CALL_MINUTES',          type: 'number',  default: 30, min: 0, max: 240 },
+  // How recording consent is collected: off | checkbox | spoken | both, see lib/consent
+  recordingConsent:      { env: 'VITE_RECORDING_CONSENT',         type: 'enum',    default: 'checkbox', options: CONSENT_MODES },
+  // PII masked in the transcript before /api/summary and /api/email, see lib/redaction.
+  // Rules are a JSON array of { name, pattern, flags, label } on top of the detectors.
+  redactionDetectors:    { env: 'VITE_REDACTION_DETECTORS',       type: 'options', default: DETECTOR_NAMES, options: DETECTOR_NAMES },
+  redactionRules:        { env: 'VITE_REDACTION_RULES',           type: 'rules',   default: [] },
+  // Also keep the unredacted transcript in this browser's call history (never sent anywhere)
+  keepUnredactedTranscript: { env: 'VITE_KEEP_UNREDACTED_TRANSCRIPT', type: 'boolean', default: false },
+  // Size budget for the history posted to /api/chat (JSON characters, ~4 per token) and how many
+  // recent messages always go verbatim; older ones are folded into a summary, see lib/chatContext
+  contextBudgetChars:    { env: 'VITE_CONTEXT_BUDGET_CHARS',      type: 'number',  default: 24000, min: 1000, max: 1000000 },
+  contextRecentMessages: { env: 'VITE_CONTEXT_RECENT_MESSAGES',   type: 'number',  default: 10, min: 2, max: 200 },
+  // Per-turn timings (see lib/callMetrics): posted in batches of `metricsBatchSize` turns to
+  // `metricsEndpoint` on apiBase, plus a last batch with the call's report when it ends
+  sendMetrics:           { env: 'VITE_SEND_METRICS',              type: 'boolean', default: true },
+  metricsEndpoint:       { env: 'VITE_METRICS_ENDPOINT',          type: 'string',  default: '/api/metrics' },
+  metricsBatchSize:      { env: 'VITE_METRICS_BATCH_SIZE',        type: 'number',  default: 5, min: 1, max: 100 },
+  // Developer overlay with live turn timings
+  devOverlay:            { env: 'VITE_DEV_OVERLAY',               type: 'boolean', default: Boolean(env.DEV) },
+  // Also end the call when the reply mentions "goodbye", "hang up", ... (pre-actions behaviour)
+  legacyEndCallKeywords: { env: 'VITE_LEGACY_END_CALL_KEYWORDS',  type: 'boolean', default: false },
+  configUrl:             { env: 'VITE_CONFIG_URL',                type: 'string',  default: '/config.json' },
+  scenariosUrl:          { env: 'VITE_SCENARIOS_URL',             type: 'string',  default: '/scenarios.json' },
+  allowUrlOverrides:     { env: 'VITE_ALLOW_URL_OVERRIDES',       type: 'boolean', default: Boolean(env.DEV) },
+};
+
+// Settings that only make sense at build time or in config.json, the privacy and review
+// settings, which a link must not be able to weaken, and where recordings, transcripts and
+// emails go, which a link must not be able to redirect
+const NOT_URL_OVERRIDABLE = new Set([
+  'configUrl', 'scenariosUrl', 'allowUrlOverrides', 'recordingConsent', 'reviewBeforeSend',
+  'redactionDetectors', 'redactionRules', 'keepUnredactedTranscript',
+  'apiBase', 'emailRecipients', 'metricsEndpoint',
+]);
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const LANG_PATTERN  = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Converts a raw value (string from env/URL, or JSON value) to the setting's type.
+// Returns { value } or { problem }.
+const coerce = (key, raw) => {
+  const setting = SETTINGS[key];
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (setting.type) {
+    case 'boolean':
+      if (typeof text === 'boolean') return { value: text };
+      if (['true', '1', 'yes', 'on'].includes(String(text).toLowerCase()))  return { value: true };
+      if (['false', '0', 'no', 'off'].includes(String(text).toLowerCase())) return { value: false };
+      return { problem: `${key} must be true or false (got "${raw}")` };
+
+    case 'number': {
+      const value = Number(text);
+      if (text === '' || !Number.isFinite(value)) return { problem: `${key} must be a number (got "${raw}")` };
+      if (value < setting.min || value > setting.max) {
+        return { problem: `${key} must be between ${setting.min} and ${setting.max} (got ${value})` };
+      }
+      return { value };
+    }
+
+    case 'url':
+      try {
+        const url = new URL(text);
+        if (!/^https?:$/.test(url.protocol)) throw new Error();
+        return { value: text.replace(/\/+$/, '') };
+      } catch {
+        return { problem: `${key} must be an http(s) URL (got "${raw}")` };
+      }
+
+    case 'lang':
+      return LANG_PATTERN.test(text) ? { value: text } : { problem: `${key} must be a language tag like en-US (got "${raw}")` };
+
+    case 'langs': {
+      const list = Array.isArray(text) ? text : String(text).split(',');
+      const value = list.map(l => String(l).trim()).filter(Boolean);
+      const bad = value.filter(l => !LANG_PATTERN.test(l));
+      if (bad.length) return { problem: `${key} has invalid language tags: ${bad.join(', ')}` };
+      return value.length ? { value } : { problem: `${key} must list at least one language` };
+    }
+
+    case 'regex':
+      try {
+        new RegExp(text, 'i');
+        return { value: text };
+      } catch {
+        return { problem: `${key} is not a valid regular expression (got "${raw}")` };
+      }
+
+    case 'enum':
+      return setting.options.includes(text)
+        ? { value: text }
+        : { problem: `${key} must be one of ${setting.options.join(', ')} (got "${raw}")` };
+
+    case 'options': {
+      const list = Array.isArray(text) ? text : String(text).split(',');
+      const value = list.map(o => String(o).trim()).filter(Boolean);
+      const bad = value.filter(o => !setting.options.includes(o));
+      return bad.length
+        ? { problem: `${key} can only contain ${setting.options.join(', ')} (got ${bad.join(', ')})` }
+        : { value };
+    }
+
+    case 'rules': {
+      let value = text;
+      try {
+        if (typeof value === 'string') value = JSON.parse(value);
+      } catch {
+        return { problem: `${key} must be a JSON array of rules` };
+      }
+      if (!Array.isArray(value)) return { problem: `${key} must be a JSON array of rules` };
+      for (const [i, rule] of value.entries()) {
+        try {
+          compileRule(rule ?? {});
+        } catch (err) {
+          return { problem: `${key}[${i}] is invalid: ${err.message}` };
+        }
+      }
+      return { value };
+    }
+
+    case 'emails': {
+      const { recipients, invalid } = parseRecipients(text);
+      return invalid.length ? { problem: `${key} has invalid addresses: ${invalid.join(', ')}` } : { value: recipients };
+    }
+
+    default:
+      return typeof text === 'string' && text
+        ? { value: text }
+        : { problem: `${key} must be a non-empty string` };
+  }
+};
+
+// Applies a source of raw values on top of `config`, collecting problems with the source name
+const applySource = (config, values, sourceName, problems, allowed = () => true) => {
+  for (const [key, raw] of Object.entries(values)) {
+    if (!(key in SETTINGS)) {
+      problems.push(`${sourceName}: unknown setting "${key}"`);
+      continue;
+    }
+    if (raw === undefined || !allowed(key)) continue;
+    const { value, problem } = coerce(key, raw);
+    if (problem) problems.push(`${sourceName}: ${problem}`);
+    else config[key] = value;
+  }
+};
+
+const fromEnv = () =>
+  Object.fromEntries(
+    Object.entries(SETTINGS)
+      .filter(([, s]) => env[s.env] !== undefined && env[s.env] !== '')
+      .map(([key, s]) => [key, env[s.env]]),
+  );
+
+const fetchConfigFile = async (url, problems) => {
+  let res;
+  try {
+    res = await fetch(url, { cache: 'no-store' });
+  } catch (err) {
+    console.warn(`Could not fetch ${url}, using built-in configuration`, err);
+    return {};
+  }
+  // A missing file (or the dev server's HTML fallback) just means "no overrides"
+  if (!res.ok || !(res.headers.get('content-type') || '').includes('json')) return {};
+
+  try {
+    const data = await res.json();
+    if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+    problems.push(`${url}: must contain a JSON object`);
+  } catch {
+    problems.push(`${url}: is not valid JSON`);
+  }
+  return {};
+};
+
+// Built-in defaults only, without env, config.json or URL overrides
+export const defaultConfig = () =>
+  Object.fromEntries(Object.entries(SETTINGS).map(([key, s]) => [key, s.default]));
+
+export const loadConfig = async ({ search = window.location.search } = {}) => {
+  const problems = [];
+  const config = defaultConfig();
+
+  applySource(config, fromEnv(), 'env', problems);
+  applySource(config, await fetchConfigFile(config.configUrl, problems), config.configUrl, problems);
+
+  // Unrelated query parameters (utm_source, ...) are ignored
+  const params = Object.fromEntries([...new URLSearchParams(search)].filter(([key]) => key in SETTINGS));
+  if (config.allowUrlOverrides) {
+    applySource(config, params, 'URL', problems, key => !NOT_URL_OVERRIDABLE.has(key));
+  }
+
+  // A missing file means the generic scenario, see lib/scenarios
+  const scenarioFile = await fetchConfigFile(config.scenariosUrl, problems);
+  if (Object.keys(scenarioFile).length) {
+    const { scenarios, problems: scenarioProblems } = parseScenarios(scenarioFile);
+    config.scenarios = scenarios;
+    problems.push(...scenarioProblems.map(problem => `${config.scenariosUrl}: ${problem}`));
+  }
+
+  if (!config.languages.includes(config.lang)) {
+    problems.push(`lang must be one of the languages (${config.languages.join(', ')}), got "${config.lang}"`);
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+};
@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ConfigError, defaultConfig, loadConfig } from './config';
+
+// Serves `files` (url -> JSON value or raw text) like the static host; anything else is a 404
+const serve = (files = {}) => vi.stubGlobal('fetch', vi.fn(async (url) => {
+  if (!(url in files)) return new Response('not found', { status: 404 });
+  const body = files[url];
+  return typeof body === 'string'
+    ? new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } })
+    : new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}));
+
+const problemsOf = async (promise) => {
+  const error = await promise.catch(err => err);
+  expect(error).toBeInstanceOf(ConfigError);
+  return error.problems;
+};
+
+describe('loadConfig', () => {
+  beforeEach(() => serve());
+  afterEach(() => vi.unstubAllEnvs());
+
+  it('uses the built-in defaults without config.json', async () => {
+    const config = await loadConfig({ search: '' });
+    expect(config).toEqual(defaultConfig());
+    expect(Object.isFrozen(config)).toBe(true);
+  });
+
+  it('layers env, config.json and the URL, coercing each value', async () => {
+    vi.stubEnv('VITE_TTS_RATE', '2');
+    vi.stubEnv('VITE_BARGE_IN', 'no');
+    serve({
+      '/config.json': {
+        apiBase: 'https://staging.example.com/',
+        ttsRate: '1.25',
+        emailRecipients: 'qa@example.com, ops@example.com',
+        languages: 'en-US,es-US',
+      },
+    });
+
+    const config = await loadConfig({ search: '?lang=es-US&silenceTimeoutSec=0&utm_source=mail' });
+    expect(config).toMatchObject({
+      apiBase: 'https://staging.example.com',
+      ttsRate: 1.25,
+      bargeIn: false,
+      emailRecipients: ['qa@example.com', 'ops@example.com'],
+      languages: ['en-US', 'es-US'],
+      lang: 'es-US',
+      silenceTimeoutSec: 0,
+    });
+  });
+
+  it('ignores URL parameters unless overrides are allowed', async () => {
+    serve({ '/config.json': { allowUrlOverrides: false } });
+    const config = await loadConfig({ search: '?lang=es-US' });
+    expect(config.lang).toBe('en-US');
+  });
+
+  it('never lets a link redirect deliveries or weaken privacy settings', async () => {
+    serve({ '/config.json': { allowUrlOverrides: true } });
+    const config = await loadConfig({
+      search: '?apiBase=https://evil.example.com&emailRecipients=me@evil.example.com' +
+        '&metricsEndpoint=https://evil.example.com/collect&recordingConsent=off&redactionDetectors=ssn' +
+        '&reviewBeforeSend=false&keepUnredactedTranscript=true',
+    });
+    const defaults = defaultConfig();
+    for (const key of ['apiBase', 'emailRecipients', 'metricsEndpoint', 'recordingConsent',
+      'redactionDetectors', 'reviewBeforeSend', 'keepUnredactedTranscript']) {
+      expect(config[key]).toEqual(defaults[key]);
+    }
+  });
+
+  it('lists every problem at once', async () => {
+    serve({
+      '/config.json': { apiBase: 'ftp://files.example.com', ttsRate: 50, sttEngine: 'cloud', colour: 'blue' },
+    });
+    const problems = await problemsOf(loadConfig({ search: '?maxCallMinutes=soon' }));
+    expect(problems).toEqual([
+      '/config.json: apiBase must be an http(s) URL (got "ftp://files.example.com")',
+      '/config.json: ttsRate must be between 0.1 and 10 (got 50)',
+      '/config.json: sttEngine must be one of auto, browser, remote (got "cloud")',
+      '/config.json: unknown setting "colour"',
+      'URL: maxCallMinutes must be a number (got "soon")',
+    ]);
+  });
+
+  it('rejects a language that is not offered', async () => {
+    const problems = await problemsOf(loadConfig({ search: '?lang=fr-FR' }));
+    expect(problems).toEqual(['lang must be one of the languages (en-US, es-US, zh-CN, vi-VN), got "fr-FR"']);
+  });
+
+  it('reports a config.json that is not a JSON object', async () => {
+    serve({ '/config.json': '{ "apiBase": ' });
+    expect(await problemsOf(loadConfig({ search: '' }))).toEqual(['/config.json: is not valid JSON']);
+
+    serve({ '/config.json': ['apiBase'] });
+    expect(await problemsOf(loadConfig({ search: '' }))).toEqual(['/config.json: must contain a JSON object']);
+  });
+
+  it('treats the dev server\'s HTML fallback as no config.json', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('<!doctype html>', { headers: { 'Content-Type': 'text/html' } })));
+    expect(await loadConfig({ search: '' })).toEqual(defaultConfig());
+  });
+
+  it('loads and validates the scenarios file', async () => {
+    serve({ '/scenarios.json': { scenarios: [{ id: 'refinance', name: 'Refinancing', opening: 'Greet them.' }] } });
+    const config = await loadConfig({ search: '' });
+    expect(config.scenarios.map(s => s.id)).toEqual(['refinance']);
+
+    serve({ '/scenarios.json': { scenarios: [{ id: 'bad id', name: 'Bad' }] } });
+    const problems = await problemsOf(loadConfig({ search: '' }));
+    expect(problems[0]).toBe('/scenarios.json: scenarios[0].id must use only letters, digits and dashes');
+  });
+});
@@ -0,0 +1,42 @@
+// Speech-to-text through the Web Speech API (Chrome, Edge, Safari).
+
+const getRecognitionClass = () =>
+  typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition);
+
+export const isBrowserSttSupported = () => Boolean(getRecognitionClass());
+
+export const createBrowserSttEngine = ({ lang = 'en-US' } = {}) => {
+  const SpeechRecognition = getRecognitionClass();
+  const rec = new SpeechRecognition();
+  rec.continuous     = true;
+  rec.interimResults = true;
+  rec.lang           = lang;
+
+  const engine = {
+    kind: 'browser',
+    onresult: null,
+    onend: null,
+    onerror: null,
+    onspeechend: null,
+    start: () => rec.start(),
+    stop: () => rec.stop?.(),
+    abort: () => rec.abort?.(),
+    setLang: (next) => { rec.lang = next; },
+  };
+
+  rec.onresult = (event) => {
+    let finalText   = '';
+    let interimText = '';
+    for (let i = event.resultIndex ?? 0; i < event.results.length; i++) {
+      const result = event.results[i];
+      if (result.isFinal) finalText += result[0].transcript;
+      else interimText += result[0].transcript;
+    }
+    engine.onresult?.({ finalText: finalText.trim(), interimText: interimText.trim() });
+  };
+  rec.onspeechend = () => engine.onspeechend?.({ endedAt: Date.now() });
+  rec.onend   = () => engine.onend?.();
+  rec.onerror = (e) => engine.onerror?.({ error: e.error || 'unknown' });
+
+  return engine;
+};
@@ -0,0 +1,84 @@
+// Text-to-speech through window.speechSynthesis.
+
+export const isBrowserTtsSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+
+const normalizeLang = (lang) => String(lang || '').replace('_', '-').toLowerCase();
+
+// Best voice for `lang`: an exact locale match beats one that only shares the base language
+// (es-MX for es-US), and within each group names matching `voicePreference` come first.
+// Returns null when no installed voice speaks the language.
+export const pickVoice = (voices, lang, voicePreference) => {
+  const preferred = new RegExp(voicePreference, 'i');
+  const wanted = normalizeLang(lang);
+  const base = wanted.split('-')[0];
+
+  const exact   = voices.filter(v => normalizeLang(v.lang) === wanted);
+  const related = voices.filter(v => normalizeLang(v.lang).split('-')[0] === base);
+  for (const group of [exact, related]) {
+    const voice = group.find(v => preferred.test(v.name)) || group[0];
+    if (voice) return voice;
+  }
+  return null;
+};
+
+// voicePreference: regex source matched against voice names to pick the default voice
+export const createBrowserTtsEngine = ({ voicePreference = 'Google|Microsoft|Natural', lang = 'en-US' } = {}) => {
+  const synth = window.speechSynthesis;
+  const listeners = new Set();
+  let voices = [];
+  let defaultVoice = null;
+
+  const loadVoices = () => {
+    // Cached so getVoices() returns the same array until the list really changes
+    const next = synth.getVoices();
+    if (next.length !== voices.length || next.some((v, i) => v !== voices[i])) {
+      voices = next;
+      listeners.forEach(listener => listener());
+    }
+    defaultVoice = pickVoice(voices, lang, voicePreference);
+  };
+
+  // some browsers load voices async
+  synth.onvoiceschanged = loadVoices;
+  loadVoices();
+
+  return {
+    kind: 'browser',
+
+    speak(text, { voice, rate = 1, pitch = 1, volume = 1, onstart, onend, onerror, onboundary } = {}) {
+      const utter = new SpeechSynthesisUtterance(text);
+      const chosen = voice || defaultVoice;
+      if (chosen) utter.voice = chosen;
+      // Without a matching voice the browser still picks one for the language
+      utter.lang  = chosen?.lang || lang;
+      utter.rate  = rate;
+      utter.pitch = pitch;
+      utter.volume = volume;
+
+      utter.onstart    = () => onstart?.();
+      utter.onend      = () => onend?.();
+      utter.onerror    = (e) => onerror?.({ error: e.error || 'unknown' });
+      utter.onboundary = (e) => onboundary?.({ charIndex: e.charIndex, charLength: e.charLength || 0 });
+
+      synth.speak(utter);
+    },
+
+    setLang(next) {
+      lang = next;
+      loadVoices();
+    },
+
+    cancel: () => synth.cancel(),
+    getVoices: () => voices,
+    subscribeVoices(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    dispose() {
+      synth.cancel();
+      synth.onvoiceschanged = null;
+      listeners.clear();
+    },
+  };
+};
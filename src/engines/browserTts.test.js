@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { pickVoice } from './browserTts';
+
+const VOICES = [
+  { name: 'Samantha',                        lang: 'en-US' },
+  { name: 'Google US English',               lang: 'en-US' },
+  { name: 'Paulina',                         lang: 'es-MX' },
+  { name: 'Microsoft Sabina - Spanish',      lang: 'es_MX' },
+  { name: 'Google español de Estados Unidos', lang: 'es-US' },
+  { name: 'Linh',                            lang: 'vi-VN' },
+];
+
+describe('pickVoice', () => {
+  it('prefers an exact locale match with a preferred name', () => {
+    expect(pickVoice(VOICES, 'en-US', 'Google|Microsoft').name).toBe('Google US English');
+    expect(pickVoice(VOICES, 'es-US', 'Google|Microsoft').name).toBe('Google español de Estados Unidos');
+  });
+
+  it('falls back to another region of the same language', () => {
+    expect(pickVoice(VOICES, 'es-ES', 'Microsoft').name).toBe('Microsoft Sabina - Spanish');
+    expect(pickVoice(VOICES, 'vi', 'Google').name).toBe('Linh');
+  });
+
+  it('returns null when nothing speaks the language', () => {
+    expect(pickVoice(VOICES, 'zh-CN', 'Google')).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+// Speech engine selection.
+//
+// STT engines expose start/stop/abort/setLang and report through
+//   onresult({ finalText, interimText }), onend(), onerror({ error })
+// and optionally onspeechend({ endedAt }) when the caller stops talking, before the final result.
+// TTS engines expose speak(text, { voice, rate, pitch, volume, onstart, onend, onerror, onboundary }),
+// setLang(), cancel(), getVoices(), subscribeVoices(listener) and dispose(). Engines whose
+// output can be recorded also expose setAudioTap(fn), see remoteTts.
+//
+// `preference` is 'auto' (browser engine when available, otherwise remote), 'browser' or 'remote'.
+
+import { createBrowserSttEngine, isBrowserSttSupported } from './browserStt';
+import { createBrowserTtsEngine, isBrowserTtsSupported } from './browserTts';
+import { createRemoteSttEngine } from './remoteStt';
+import { createRemoteTtsEngine } from './remoteTts';
+
+export { pickVoice } from './browserTts';
+
+export const createSttEngine = ({ preference = 'auto', ...options }) => {
+  if (preference !== 'remote' && isBrowserSttSupported()) {
+    return createBrowserSttEngine(options);
+  }
+  if (preference === 'browser') {
+    console.warn('SpeechRecognition is not available — using the remote transcription engine');
+  }
+  return createRemoteSttEngine(options);
+};
+
+export const createTtsEngine = ({ preference = 'auto', ...options }) => {
+  if (preference !== 'remote' && isBrowserTtsSupported()) {
+    return createBrowserTtsEngine(options);
+  }
+  if (preference === 'browser') {
+    console.warn('speechSynthesis is not available — using the remote TTS engine');
+  }
+  return createRemoteTtsEngine(options);
+};
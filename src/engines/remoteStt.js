@@ -0,0 +1,143 @@
+// Speech-to-text through a backend transcription endpoint, for browsers without SpeechRecognition.
+//
+// A simple energy-based voice activity detector watches the mic stream. Each utterance is
+// recorded with MediaRecorder and handed to `transcribe(audio, { lang, signal })`, normally
+// the API client's /api/transcribe call, which resolves with its text. Callbacks and errors
+// mirror the browser engine, including 'no-speech' when nobody talks for a while. abort()
+// cancels a transcription that is still on its way.
+
+import { CancelledError } from '../api/errors';
+import { rmsLevel } from '../lib/microphone';
+
+const POLL_MS = 50;
+
+export const createRemoteSttEngine = ({
+  transcribe,
+  getStream,
+  lang = 'en-US',
+  threshold = 0.02,      // RMS level that counts as speech
+  silenceMs = 800,       // pause that ends an utterance
+  noSpeechMs = 8000,     // like the browser recognizer's 'no-speech' timeout
+  maxUtteranceMs = 15000,
+} = {}) => {
+  let running   = false;
+  let audioCtx  = null;
+  let analyser  = null;
+  let timer     = null;
+  let recorder  = null;
+  let chunks    = [];
+  let startedAt = 0;
+  let utteranceStartedAt = 0;
+  let lastVoiceAt = 0;
+  let pending   = null;   // AbortController of the transcription in flight
+
+  const engine = {
+    kind: 'remote',
+    onresult: null,
+    onend: null,
+    onerror: null,
+    onspeechend: null,
+    start,
+    stop: () => finish({ keepUtterance: true }),
+    abort: () => {
+      pending?.abort();
+      return finish({ keepUtterance: false });
+    },
+    setLang: (next) => { lang = next; },
+  };
+
+  const teardown = () => {
+    clearInterval(timer);
+    timer = null;
+    audioCtx?.close?.();
+    audioCtx = null;
+    analyser = null;
+  };
+
+  // Stops the current utterance recording; resolves with its audio (or null)
+  const closeUtterance = () => new Promise(resolve => {
+    const active = recorder;
+    recorder = null;
+    if (!active || active.state === 'inactive') return resolve(null);
+    active.onstop = () => resolve(new Blob(chunks, { type: active.mimeType || 'audio/webm' }));
+    active.stop();
+  });
+
+  const deliver = async (blob) => {
+    if (!blob || !blob.size) return;
+    const controller = new AbortController();
+    pending = controller;
+    try {
+      const text = await transcribe(blob, { lang, signal: controller.signal });
+      if (text) engine.onresult?.({ finalText: text, interimText: '' });
+    } catch (err) {
+      if (err instanceof CancelledError) return;
+      console.warn('remote transcription failed', err);
+      engine.onerror?.({ error: 'network' });
+    } finally {
+      if (pending === controller) pending = null;
+    }
+  };
+
+  async function finish({ keepUtterance, error } = {}) {
+    if (!running) return;
+    running = false;
+    teardown();
+    const blob = await closeUtterance();
+    if (keepUtterance) await deliver(blob);
+    if (error) engine.onerror?.({ error });
+    engine.onend?.();
+  }
+
+  const tick = () => {
+    if (!running || !analyser) return;
+    const now = Date.now();
+
+    if (rmsLevel(analyser) > threshold) {
+      lastVoiceAt = now;
+      if (!recorder) {
+        chunks = [];
+        recorder = new MediaRecorder(getStream());
+        recorder.ondataavailable = e => chunks.push(e.data);
+        recorder.start();
+        utteranceStartedAt = now;
+      }
+    }
+
+    if (recorder) {
+      // End of utterance: deliver it and stop, like a continuous recognizer producing a final result
+      if (now - lastVoiceAt > silenceMs || now - utteranceStartedAt > maxUtteranceMs) {
+        engine.onspeechend?.({ endedAt: Math.min(lastVoiceAt, now) });
+        finish({ keepUtterance: true });
+      }
+    } else if (now - startedAt > noSpeechMs) {
+      finish({ keepUtterance: false, error: 'no-speech' });
+    }
+  };
+
+  function start() {
+    if (running) throw new Error('remote recognizer already started');
+
+    const stream = getStream?.();
+    if (!stream) {
+      setTimeout(() => {
+        engine.onerror?.({ error: 'audio-capture' });
+        engine.onend?.();
+      }, 0);
+      return;
+    }
+
+    running   = true;
+    startedAt = Date.now();
+    lastVoiceAt = 0;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    audioCtx = new AudioContextClass();
+    analyser = audioCtx.createAnalyser();
+    analyser.fftSize = 1024;
+    audioCtx.createMediaStreamSource(stream).connect(analyser);
+    timer = setInterval(tick, POLL_MS);
+  }
+
+  return engine;
+};
@@ -0,0 +1,82 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createRemoteSttEngine } from './remoteStt';
+import { CancelledError } from '../api/errors';
+import { FakeAudioContext, FakeMediaStream } from '../test/fakeMedia';
+
+const listen = (options = {}) => {
+  const stream = new FakeMediaStream();
+  const transcribe = options.transcribe ?? vi.fn(async () => 'I want to refinance');
+  const engine = createRemoteSttEngine({ getStream: () => stream, lang: 'es-US', ...options, transcribe });
+  const events = [];
+  engine.onresult    = (r) => events.push(['result', r.finalText]);
+  engine.onspeechend = () => events.push(['speechend']);
+  engine.onerror     = (e) => events.push(['error', e.error]);
+  engine.onend       = () => events.push(['end']);
+  engine.start();
+  return { engine, events, transcribe };
+};
+
+// The caller talks for `ms`, then goes quiet
+const speak = async (ms) => {
+  FakeAudioContext.level = 0.1;
+  await vi.advanceTimersByTimeAsync(ms);
+  FakeAudioContext.level = 0;
+};
+
+describe('remote STT engine', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  it('transcribes an utterance once the caller pauses', async () => {
+    const { events, transcribe } = listen();
+
+    await speak(500);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(transcribe).toHaveBeenCalledWith(expect.any(Blob), { lang: 'es-US', signal: expect.any(AbortSignal) });
+    expect(events).toEqual([['speechend'], ['result', 'I want to refinance'], ['end']]);
+  });
+
+  it('reports no-speech when nobody talks', async () => {
+    const { events, transcribe } = listen();
+
+    await vi.advanceTimersByTimeAsync(8100);
+
+    expect(transcribe).not.toHaveBeenCalled();
+    expect(events).toEqual([['error', 'no-speech'], ['end']]);
+  });
+
+  it('reports audio-capture without a microphone stream', async () => {
+    const { events } = listen({ getStream: () => null });
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(events).toEqual([['error', 'audio-capture'], ['end']]);
+  });
+
+  it('turns a failed transcription into a network error', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { events } = listen({ transcribe: vi.fn(async () => { throw new Error('503'); }) });
+
+    await speak(500);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(events).toEqual([['speechend'], ['error', 'network'], ['end']]);
+  });
+
+  it('cancels a transcription still on its way when aborted', async () => {
+    let signal;
+    const transcribe = vi.fn((audio, options) => new Promise((resolve, reject) => {
+      signal = options.signal;
+      signal.addEventListener('abort', () => reject(new CancelledError('/api/transcribe')));
+    }));
+    const { engine, events } = listen({ transcribe });
+
+    await speak(500);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(transcribe).toHaveBeenCalled();
+
+    engine.abort();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(signal.aborted).toBe(true);
+    expect(events).toEqual([['speechend'], ['end']]);
+  });
+});
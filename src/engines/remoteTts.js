@@ -0,0 +1,76 @@
+// Text-to-speech through a backend endpoint that returns audio.
+//
+// Each sentence goes to `synthesize(text, { voice, lang, rate, pitch, signal })`, normally the
+// API client's /api/tts call, and the audio it resolves with plays at `volume`. When it fails or
+// times out the engine reports onerror, so the call moves on instead of waiting for the voice.
+// The server has no word boundaries to report, so progress is estimated from playback time.
+// setAudioTap(fn) hands every <audio> element to `fn` before it plays, so the call recorder
+// can mix the agent's voice into the recording.
+
+const NO_VOICES = [];
+
+export const createRemoteTtsEngine = ({ synthesize, lang = 'en-US' } = {}) => {
+  let generation = 0;
+  let audio      = null;
+  let controller = null;
+  let audioTap   = null;
+
+  const stopPlayback = () => {
+    if (audio) {
+      audio.pause();
+      URL.revokeObjectURL(audio.src);
+      audio = null;
+    }
+  };
+
+  return {
+    kind: 'remote',
+
+    async speak(text, { voice, rate = 1, pitch = 1, volume = 1, onstart, onend, onerror, onboundary } = {}) {
+      const gen = ++generation;
+      controller = new AbortController();
+
+      try {
+        const blob = await synthesize(text, {
+          voice: voice?.name ?? voice ?? null, lang, rate, pitch, signal: controller.signal,
+        });
+        if (gen !== generation) return;   // cancelled while fetching
+
+        stopPlayback();
+        const current = new Audio(URL.createObjectURL(blob));
+        audio = current;
+        current.volume = volume;
+        audioTap?.(current);
+        current.onplay = () => onstart?.();
+        current.ontimeupdate = () => {
+          if (!current.duration) return;
+          const charIndex = Math.round(text.length * (current.currentTime / current.duration));
+          onboundary?.({ charIndex, charLength: 0 });
+        };
+        current.onended = () => {
+          if (audio === current) stopPlayback();
+          onend?.();
+        };
+        current.onerror = () => onerror?.({ error: 'audio-playback' });
+        await current.play();
+      } catch (err) {
+        if (gen !== generation) return;
+        console.warn('remote tts failed', err);
+        onerror?.({ error: 'network' });
+      }
+    },
+
+    cancel() {
+      generation++;
+      controller?.abort();
+      stopPlayback();
+    },
+
+    setLang: (next) => { lang = next; },
+    setAudioTap: (tap) => { audioTap = tap; },
+    // The server picks its own voices
+    getVoices: () => NO_VOICES,
+    subscribeVoices: () => () => {},
+    dispose() { this.cancel(); },
+  };
+};
@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createRemoteTtsEngine } from './remoteTts';
+import { TimeoutError } from '../api/errors';
+
+const audio = () => new Blob(['fake audio'], { type: 'audio/wav' });
+
+describe('remote TTS engine', () => {
+  let synthesize;
+
+  beforeEach(() => {
+    synthesize = vi.fn(async () => audio());
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue();
+    vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+  });
+
+  it('synthesizes the audio and plays it through the audio tap', async () => {
+    const engine = createRemoteTtsEngine({ synthesize, lang: 'es-US' });
+    const tapped = [];
+    engine.setAudioTap(a => tapped.push(a));
+    const onstart = vi.fn();
+    const onend = vi.fn();
+
+    await engine.speak('Hola', { voice: { name: 'Lucia' }, rate: 1.2, pitch: 0.9, volume: 0.5, onstart, onend });
+
+    const [text, options] = synthesize.mock.calls[0];
+    expect(text).toBe('Hola');
+    expect(options).toMatchObject({ voice: 'Lucia', lang: 'es-US', rate: 1.2, pitch: 0.9 });
+    expect(tapped).toHaveLength(1);
+    expect(tapped[0].volume).toBe(0.5);
+
+    tapped[0].dispatchEvent(new Event('play'));
+    tapped[0].dispatchEvent(new Event('ended'));
+    expect(onstart).toHaveBeenCalled();
+    expect(onend).toHaveBeenCalled();
+  });
+
+  it('plays nothing when cancelled while the audio is on its way', async () => {
+    let respond;
+    synthesize.mockImplementation(() => new Promise(resolve => { respond = resolve; }));
+    const engine = createRemoteTtsEngine({ synthesize });
+    const tap = vi.fn();
+    const onerror = vi.fn();
+    engine.setAudioTap(tap);
+
+    const speaking = engine.speak('Hello', { onerror });
+    engine.cancel();
+    respond(audio());
+    await speaking;
+
+    expect(synthesize.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(tap).not.toHaveBeenCalled();
+    expect(onerror).not.toHaveBeenCalled();
+  });
+
+  it('reports a failed or timed out request as a network error', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    synthesize.mockRejectedValue(new TimeoutError('/api/tts', 15000));
+    const engine = createRemoteTtsEngine({ synthesize });
+    const onerror = vi.fn();
+
+    await engine.speak('Hello', { onerror });
+    expect(onerror).toHaveBeenCalledWith({ error: 'network' });
+  });
+});
@@ -0,0 +1,22 @@
+import { useCallback, useEffect, useState } from 'react';
+import { listInputDevices } from '../lib/microphone';
+
+// Available microphones, refreshed when devices are plugged in or out. Call refresh() after
+// the first getUserMedia: before that browsers hide the device labels.
+export const useAudioInputs = () => {
+  const [devices, setDevices] = useState([]);
+
+  const refresh = useCallback(() =>
+    listInputDevices()
+      .then(setDevices)
+      .catch(err => console.warn('Could not list microphones:', err)),
+  []);
+
+  useEffect(() => {
+    refresh();
+    navigator.mediaDevices?.addEventListener?.('devicechange', refresh);
+    return () => navigator.mediaDevices?.removeEventListener?.('devicechange', refresh);
+  }, [refresh]);
+
+  return { devices, refresh };
+};
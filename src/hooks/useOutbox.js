@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  attemptDelivery,
+  discardOutboxItem,
+  enqueueDelivery,
+  listOutbox,
+  processOutbox,
+} from '../storage/outbox';
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+// Keeps the outbox list in state and retries due deliveries on startup,
+// when the browser comes back online and periodically while the app is open.
+// `handlers` is `{ summarize(transcript, { locale }), sendEmail(payload) }`.
+export const useOutbox = (handlers) => {
+  const [items, setItems] = useState([]);
+  const handlersRef   = useRef(handlers);
+  const processingRef = useRef(false);
+
+  useEffect(() => { handlersRef.current = handlers; });
+
+  // Calls held for review show on the review screen instead
+  const refresh = useCallback(async () => {
+    try {
+      setItems((await listOutbox()).filter(item => item.status !== 'review'));
+    } catch (err) {
+      console.warn('Outbox unavailable:', err);
+    }
+  }, []);
+
+  const process = useCallback(async () => {
+    if (processingRef.current) return;
+    // Offline the items are still listed, the retry waits for the 'online' event
+    if (navigator.onLine === false) return refresh();
+    processingRef.current = true;
+    try {
+      await processOutbox(handlersRef.current);
+    } catch (err) {
+      console.warn('Outbox processing failed:', err);
+    } finally {
+      processingRef.current = false;
+      await refresh();
+    }
+  }, [refresh]);
+
+  useEffect(() => {
+    process();
+    const timer = setInterval(process, CHECK_INTERVAL_MS);
+    window.addEventListener('online', process);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', process);
+    };
+  }, [process]);
+
+  const enqueue = useCallback(async (payload, meta) => {
+    await enqueueDelivery(payload, meta);
+    await refresh();
+  }, [refresh]);
+
+  // Shares processingRef with process(), so an item is never attempted by both at once. The item
+  // is read again from the outbox, a background run may have delivered it in the meantime.
+  const retry = useCallback(async (id) => {
+    if (processingRef.current) return false;
+    processingRef.current = true;
+    try {
+      const item = (await listOutbox()).find(i => i.id === id);
+      if (!item) return false;
+      setItems(current => current.map(i => (i.id === id ? { ...i, status: 'retrying' } : i)));
+      return await attemptDelivery({ ...item, status: 'pending' }, handlersRef.current);
+    } finally {
+      processingRef.current = false;
+      await refresh();
+    }
+  }, [refresh]);
+
+  const discard = useCallback(async (id) => {
+    await discardOutboxItem(id);
+    await refresh();
+  }, [refresh]);
+
+  return { items, enqueue, retry, discard };
+};
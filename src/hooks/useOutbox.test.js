@@ -0,0 +1,88 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { useOutbox } from './useOutbox';
+import { enqueueDelivery, listOutbox } from '../storage/outbox';
+
+const payload = { deliveryId: 'call-1', transcript: 'Agent: Hi', summary: 'A summary' };
+
+// An item whose backoff has already elapsed
+const enqueueDue = async () => {
+  const item = await enqueueDelivery(payload, { callId: 'call-1' });
+  vi.spyOn(Date, 'now').mockReturnValue(item.nextAttemptAt);
+  return item;
+};
+
+const setOnline = (online) => Object.defineProperty(navigator, 'onLine', { value: online, configurable: true });
+
+describe('useOutbox', () => {
+  afterEach(() => setOnline(true));
+
+  it('retries due deliveries when the app opens', async () => {
+    await enqueueDue();
+    const handlers = { summarize: vi.fn(), sendEmail: vi.fn(async () => {}) };
+
+    renderHook(() => useOutbox(handlers));
+
+    await waitFor(() => expect(handlers.sendEmail).toHaveBeenCalledTimes(1));
+    expect(await listOutbox()).toEqual([]);
+  });
+
+  it('waits while offline and retries when the connection comes back', async () => {
+    setOnline(false);
+    await enqueueDue();
+    const handlers = { summarize: vi.fn(), sendEmail: vi.fn(async () => {}) };
+    const { result } = renderHook(() => useOutbox(handlers));
+
+    await waitFor(() => expect(result.current.items).toHaveLength(1));
+    expect(handlers.sendEmail).not.toHaveBeenCalled();
+
+    setOnline(true);
+    act(() => { window.dispatchEvent(new Event('online')); });
+    await waitFor(() => expect(result.current.items).toEqual([]));
+    expect(handlers.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('checks again periodically while the app is open', async () => {
+    const setInterval = vi.spyOn(window, 'setInterval');
+    const item = await enqueueDelivery(payload, { callId: 'call-1' });
+    const handlers = { summarize: vi.fn(), sendEmail: vi.fn(async () => {}) };
+    const { result } = renderHook(() => useOutbox(handlers));
+    await waitFor(() => expect(result.current.items).toHaveLength(1));
+    expect(handlers.sendEmail).not.toHaveBeenCalled();
+
+    const [check] = setInterval.mock.calls.find(([, ms]) => ms === 15 * 1000);
+    vi.spyOn(Date, 'now').mockReturnValue(item.nextAttemptAt);
+    await act(() => check());
+    expect(handlers.sendEmail).toHaveBeenCalledTimes(1);
+    expect(result.current.items).toEqual([]);
+  });
+
+  it('does not retry an item by hand while a background run is delivering it', async () => {
+    const setInterval = vi.spyOn(window, 'setInterval');
+    const item = await enqueueDelivery(payload, { callId: 'call-1' });
+    let finishEmail;
+    const handlers = {
+      summarize: vi.fn(),
+      sendEmail: vi.fn(() => new Promise(resolve => { finishEmail = resolve; })),
+    };
+    const { result } = renderHook(() => useOutbox(handlers));
+    await waitFor(() => expect(result.current.items).toHaveLength(1));
+
+    const [check] = setInterval.mock.calls.find(([, ms]) => ms === 15 * 1000);
+    vi.spyOn(Date, 'now').mockReturnValue(item.nextAttemptAt);
+    let checking;
+    act(() => { checking = check(); });
+    await waitFor(() => expect(handlers.sendEmail).toHaveBeenCalledTimes(1));
+
+    let retried;
+    await act(async () => { retried = await result.current.retry(item.id); });
+    expect(retried).toBe(false);
+
+    await act(async () => {
+      finishEmail();
+      await checking;
+    });
+    expect(handlers.sendEmail).toHaveBeenCalledTimes(1);
+    expect(result.current.items).toEqual([]);
+  });
+});
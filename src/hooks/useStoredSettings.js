@@ -0,0 +1,43 @@
+import { useState } from 'react';
+
+// localStorage can be unavailable (privacy mode) or full; settings then last for the session
+const load = (storageKey, defaults, normalize) => {
+  try {
+    const stored = localStorage.getItem(storageKey);
+    return stored ? normalize(JSON.parse(stored), defaults) : defaults;
+  } catch {
+    return defaults;
+  }
+};
+
+const save = (storageKey, settings) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(settings));
+  } catch (err) {
+    console.warn(`Could not save ${storageKey}:`, err);
+  }
+};
+
+// Caller preferences persisted in localStorage under `storageKey`. `normalize(raw, defaults)`
+// turns whatever is stored (maybe by an older version) into valid settings.
+// Returns `{ settings, update(patch), reset() }`.
+export const useStoredSettings = (storageKey, defaults, normalize) => {
+  const [settings, setSettings] = useState(() => load(storageKey, defaults, normalize));
+
+  const update = (patch) => {
+    const next = normalize({ ...settings, ...patch }, settings);
+    setSettings(next);
+    save(storageKey, next);
+  };
+
+  const reset = () => {
+    setSettings(defaults);
+    try {
+      localStorage.removeItem(storageKey);
+    } catch {
+      // nothing stored to remove
+    }
+  };
+
+  return { settings, update, reset };
+};
@@ -0,0 +1,1200 @@
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { createSttEngine, createTtsEngine, pickVoice } from '../engines';
+import { CallEvent, CallState, InputMode, canTransition, isInCall, transition } from '../lib/callMachine';
+import { END_CALL, UPDATE_LEAD, legacyEndCallActions } from '../lib/chatActions';
+import { baseLanguage, translator } from '../lib/i18n';
+import { emptyLead, mergeAgentLead } from '../lib/lead';
+import { toPlainText, toTranscriptJson } from '../lib/transcriptExport';
+import { createRedactor, redactLines } from '../lib/redaction';
+import { ConsentMode, asksCheckbox, asksSpoken, consentRecord, parseConsentAnswer } from '../lib/consent';
+import { RecordingLayout, agentMarkers, createCallRecorder } from '../lib/callRecorder';
+import { createCallMetrics } from '../lib/callMetrics';
+import { buildChatContext, foldTranscript } from '../lib/chatContext';
+import { genericScenario, scenarioForChat, scenarioOpening, scenarioRecipients } from '../lib/scenarios';
+import { PROCESSING_OPTIONS, createLevelMeter, openMicrophone } from '../lib/microphone';
+import { RESTART_DELAY_MS, isFatalRecognizerError, restartDelayAfter } from '../lib/recognizerRestart';
+import { beginCallRecord, saveCall, updateCall } from '../storage/callHistory';
+import {
+  deliverPayload,
+  discardOutboxItem,
+  findHeldReview,
+  holdForReview,
+  releaseReview,
+  saveReviewDraft,
+} from '../storage/outbox';
+import { CancelledError, describeApiError } from '../api/errors';
+
+// Notices replace the state's status line until the next transition: `{ key, error }` where
+// key is an i18n message (its {error} placeholder gets the described API error), or just
+// `{ error }`. They are translated at render time so a language switch applies to them too.
+const describeNotice = (notice, t) => {
+  const error = notice.error && describeApiError(notice.error, t);
+  return notice.key ? t(notice.key, { error }) : error;
+};
+
+const NO_VOICES = [];
+
+// Delay before (re)starting the recognizer, keeps it from catching the tail of the agent's voice
+const LISTEN_DELAY_MS = 300;
+
+// Unclear answers to the recording disclosure get asked again this many times, then count as a no
+const CONSENT_RETRIES = 1;
+
+// Interim results shorter than this never count as the agent's echo: "yes" or "refinance"
+// could be the caller answering while the agent still talks
+const ECHO_MIN_WORDS = 3;
+
+const normalizeHeard = (text) =>
+  text.toLowerCase().replace(/[^\p{L}\p{N} ]/gu, '').replace(/\s+/g, ' ').trim();
+
+// Everything needed to run a voice call: microphone, recording, speech engines, the
+// conversation with /api/chat and end-of-call delivery. Screens render from the returned
+// `state` (see lib/callMachine) and call startCall / endCall with the call's scenario (see
+// lib/scenarios). With `reviewBeforeSend` the email waits in `review` until sendReview or
+// discardReview; it is held in the outbox (see storage/outbox), so a reload brings it back.
+// In text mode (see InputMode) the caller's turns come from sendText instead of the recognizer.
+//
+// `api` is an API client (see api/client). `deliveryHandlers` are the end-of-call steps
+// `{ summarize, sendEmail }` and `enqueueDelivery(payload, meta)` stores a failed delivery
+// for later retries (see useOutbox). `voiceSettings` (see lib/voiceSettings) apply to every
+// utterance, `micSettings` (see lib/microphone) choose the input. `onMicLevel(0..1)` is called
+// about 20 times a second during a call; it is meant for direct DOM updates, not React state.
+// Per-turn timings (see lib/callMetrics) go to `api.metrics` in batches and into the email.
+// Long conversations are trimmed to a budget before each /api/chat request, see lib/chatContext.
+export const useVoiceCall = ({
+  config,
+  api,
+  deliveryHandlers,
+  enqueueDelivery,
+  voiceSettings,
+  micSettings,
+  onMicLevel,
+}) => {
+  const [state, setState]               = useState(CallState.IDLE);
+  const [notice, setNotice]             = useState(null);
+  const [lang, setLang]                 = useState(config.lang);
+  const [micBlocked, setMicBlocked]     = useState(false);
+  const [inputMode, setInputModeState]  = useState(InputMode.VOICE);
+  const [speakReplies, setSpeakRepliesState] = useState(true);   // text mode only; voice always speaks
+  const [recordingUrl, setRecordingUrl] = useState(null);
+  const [callInfo, setCallInfo]         = useState(null);   // id, start times and lang of the last call
+  const [consent, setConsent]           = useState(null);   // see consentRecord in ../lib/consent
+  const [recording, setRecording]       = useState(false);
+  const [deadline, setDeadline]         = useState(null);   // when the call hits maxCallMinutes
+  const [transcript, setTranscript]     = useState([]);
+  const [interimText, setInterimText]   = useState('');
+  const [lead, setLead]                 = useState(emptyLead);
+  const [editedLeadKeys, setEditedLeadKeys] = useState(() => new Set());
+  const [metrics, setMetrics]           = useState(null);   // report of the current or last call
+  const [contextStats, setContextStats] = useState(null);   // what the last /api/chat request carried
+  // Email waiting for review:
+  //   { summary, summaryStatus: 'loading' | 'ready' | 'failed', summaryError, recipientsText, note }
+  const [review, setReview]             = useState(null);
+
+  // Refs mirror what the async handlers need to read without waiting for a render
+  const stateRef           = useRef(CallState.IDLE);
+  // transcriptLinesRef is the source of truth (used for email); `transcript` mirrors it for rendering
+  const transcriptLinesRef = useRef([]);
+  const messagesRef        = useRef([]);
+  // Rolling summary of the first `foldedCount` messages, replaced for every new conversation
+  const chatContextRef     = useRef({ summary: '', foldedCount: 0, folding: false });
+  const leadRef            = useRef(emptyLead());
+  const editedLeadKeysRef  = useRef(new Set());
+  const callIdRef          = useRef(null);
+  const callStartedAtRef   = useRef(0);
+  const callControllerRef  = useRef(null);   // aborted by endCall, cancels everything tied to the call
+  const scenarioRef        = useRef(null);   // see ../lib/scenarios
+
+  const recognitionRef     = useRef(null);   // STT engine, see ../engines
+  const ttsRef             = useRef(null);   // TTS engine
+  const isListeningRef     = useRef(false);  // whether the recognizer is running
+  const listenTimerRef     = useRef(null);
+  const restartDelayRef    = useRef(RESTART_DELAY_MS);  // delay before listening again after onend
+  const micBlockedRef      = useRef(false);  // recognizer reported a permission error
+  const inputModeRef       = useRef(InputMode.VOICE);
+  const speakRepliesRef    = useRef(true);
+  const micStreamRef       = useRef(null);
+  const micOpeningRef      = useRef(false);  // the browser is still asking for the mic mid-call
+  const recorderRef        = useRef(null);   // see ../lib/callRecorder
+  const recordingStartedAtRef = useRef(0);  // Date.now() at recorder.start(), 0 without a recording
+  const callerStartRef     = useRef(null);   // recording offset of the caller's current utterance
+  const speechEndedAtRef   = useRef(null);   // Date.now() when the recognizer heard the caller stop
+  const lastHeardAtRef     = useRef(null);   // Date.now() of the latest interim result
+  const restartPendingRef  = useRef(false);  // the next recognizer start is a restart after onend/onerror
+  const metricsRef         = useRef(null);   // see ../lib/callMetrics
+  const metricsBatchRef    = useRef([]);     // finished turns not sent to api.metrics yet
+  const reviewRef          = useRef(null);   // mirrors `review`
+  const reviewItemRef      = useRef(null);   // outbox item held for review, see ../storage/outbox
+  const summaryRequestRef  = useRef(0);      // latest review summary request, older answers are ignored
+  const consentRef         = useRef(null);
+  const awaitingConsentRef = useRef(false);  // the spoken disclosure is waiting for a yes or no
+  const consentRetriesRef  = useRef(0);
+  const silenceTimerRef    = useRef(null);
+  const silencePromptsRef  = useRef(0);      // unanswered silence prompts in a row
+  const maxDurationTimerRef = useRef(null);
+  const agentTurnRef       = useRef(null);   // the agent turn currently being spoken, see beginAgentTurn
+  const spokenCharsRef     = useRef(0);
+  const configRef          = useRef(config);
+  const langRef            = useRef(config.lang);
+  const voiceSettingsRef   = useRef(voiceSettings);
+  const micSettingsRef     = useRef(micSettings);
+  const onMicLevelRef      = useRef(onMicLevel);
+  const stopMeterRef       = useRef(null);
+  const handlersRef        = useRef(null);   // latest engine callbacks and effect helpers
+
+  useEffect(() => { configRef.current = config; }, [config]);
+  useEffect(() => { voiceSettingsRef.current = voiceSettings; }, [voiceSettings]);
+  useEffect(() => { onMicLevelRef.current = onMicLevel; }, [onMicLevel]);
+
+  // Processing toggles also apply to a running call; the device only changes with the next one
+  useEffect(() => {
+    micSettingsRef.current = micSettings;
+    const processing = Object.fromEntries(PROCESSING_OPTIONS.map(key => [key, micSettings[key]]));
+    micStreamRef.current?.getAudioTracks().forEach(track => {
+      track.applyConstraints?.(processing)?.catch(err => console.warn('Could not apply mic settings', err));
+    });
+  }, [micSettings]);
+
+  // Applies a call event. Invalid events are rejected (logged, state unchanged) and return false.
+  const send = useCallback((event, message = null) => {
+    let next;
+    try {
+      next = transition(stateRef.current, event);
+    } catch (err) {
+      console.warn(err.message);
+      return false;
+    }
+    stateRef.current = next;
+    setState(next);
+    setNotice(message);
+    return true;
+  }, []);
+
+  // --- recognizer control --------------------------------------------------
+
+  const shouldListen = () => {
+    const current = stateRef.current;
+    if (micBlockedRef.current || micOpeningRef.current || inputModeRef.current === InputMode.TEXT) return false;
+    return current === CallState.LISTENING ||
+      (current === CallState.SPEAKING && configRef.current.bargeIn);
+  };
+
+  const startRecognizer = () => {
+    clearTimeout(listenTimerRef.current);
+    if (!recognitionRef.current || isListeningRef.current || !shouldListen()) return;
+    try {
+      recognitionRef.current.start();
+      isListeningRef.current = true;
+      speechEndedAtRef.current = null;
+      lastHeardAtRef.current = null;
+      if (restartPendingRef.current) {
+        restartPendingRef.current = false;
+        metricsRef.current?.recognitionRestarted();
+        refreshMetrics();
+      }
+    } catch (err) {
+      // Usually "already started" right after a stop; onend will bring us back here
+      console.warn('start failed', err);
+    }
+  };
+
+  const stopRecognizer = () => {
+    clearTimeout(listenTimerRef.current);
+    if (recognitionRef.current && isListeningRef.current) {
+      recognitionRef.current.stop();
+      isListeningRef.current = false;
+    }
+  };
+
+  const scheduleListen = (delay) => {
+    clearTimeout(listenTimerRef.current);
+    listenTimerRef.current = setTimeout(startRecognizer, delay);
+  };
+
+  // The state decides whether the recognizer runs
+  const followCallState = (current, bargeIn) => {
+    if (current === CallState.LISTENING) scheduleListen(LISTEN_DELAY_MS);
+    else if (current === CallState.SPEAKING && bargeIn) startRecognizer();
+    else stopRecognizer();
+  };
+
+  // --- transcript & lead ---------------------------------------------------
+
+  // Milliseconds since recorder.start(), the time base of every transcript line
+  const recordingOffset = () =>
+    recordingStartedAtRef.current ? Date.now() - recordingStartedAtRef.current : null;
+
+  // `start` / `end` are recording offsets (see recordingOffset), null while unknown
+  // Other fields are kept on the line: `typed` for caller turns from the text box, `event` for
+  // notes (role 'system') about things like timeouts
+  const addTranscriptLine = (role, text, { start = recordingOffset(), end = null, ...extra } = {}) => {
+    transcriptLinesRef.current.push({ role, text, at: Date.now(), start, end, ...extra });
+    setTranscript([...transcriptLinesRef.current]);
+  };
+
+  const addTranscriptNote = (event, key, params) => {
+    const at = recordingOffset();
+    addTranscriptLine('system', translator(langRef.current)(key, params), { start: at, end: at, event });
+  };
+
+  const updateLead = (next) => {
+    leadRef.current = next;
+    setLead(next);
+  };
+
+  // Caller corrections win over anything the agent reports later
+  const editLead = (key, value) => {
+    editedLeadKeysRef.current = new Set(editedLeadKeysRef.current).add(key);
+    setEditedLeadKeys(editedLeadKeysRef.current);
+    updateLead({ ...leadRef.current, [key]: value });
+  };
+
+  // --- agent turns -----------------------------------------------------------
+
+  const backendChat = (msgs, { onSentence, signal } = {}) =>
+    api.chat(msgs, {
+      lead: leadRef.current,
+      locale: langRef.current,
+      scenario: scenarioRef.current && scenarioForChat(scenarioRef.current, leadRef.current),
+      stream: configRef.current.streamChat,
+      onSentence,
+      signal,
+    });
+
+  // The conversation as it fits the budget; starts folding older messages when it gets long
+  const chatContext = () => {
+    const context = buildChatContext(messagesRef.current, {
+      summary: chatContextRef.current.summary,
+      foldedCount: chatContextRef.current.foldedCount,
+      lead: leadRef.current,
+      consent: consentRef.current,
+      budgetChars: configRef.current.contextBudgetChars,
+      recentMessages: configRef.current.contextRecentMessages,
+    });
+    setContextStats(context.stats);
+    if (context.foldUpTo > chatContextRef.current.foldedCount) foldContext(context.foldUpTo);
+    return context.messages;
+  };
+
+  // Folds messages up to `upTo` into the rolling summary in the background; until it's done
+  // requests drop what doesn't fit
+  const foldContext = async (upTo) => {
+    const context = chatContextRef.current;
+    if (context.folding) return;
+    context.folding = true;
+    try {
+      // The summary is sent back with every later turn, so it's made from redacted text
+      const { redactionDetectors, redactionRules } = configRef.current;
+      const redact = createRedactor({ detectors: redactionDetectors, rules: redactionRules });
+      const text = redact(foldTranscript(context.summary, messagesRef.current.slice(context.foldedCount, upTo))).text;
+      const summary = await api.summary(text, { locale: langRef.current, signal: callControllerRef.current?.signal });
+      context.summary = summary;
+      context.foldedCount = upTo;
+    } catch (err) {
+      if (!(err instanceof CancelledError)) console.warn('Could not summarize the earlier conversation:', err);
+    } finally {
+      context.folding = false;
+    }
+  };
+
+  // An agent turn is spoken sentence by sentence so streamed replies can start playing early.
+  // Sentences are queued with queueSpeech; finishAgentTurn marks that no more text is coming.
+  // `trigger` and `recognitionMs` start the turn's metrics (see lib/callMetrics).
+  const beginAgentTurn = ({ trigger, recognitionMs } = {}) => {
+    const turn = {
+      text: '',          // everything received so far
+      spokenText: '',    // sentences that finished playing
+      queue: [],
+      utter: null,
+      utterText: '',
+      lineIndex: -1,
+      messageIndex: -1,
+      done: false,
+      interrupted: false,
+      endCallAfter: false,   // set by an end_call action, hang up once the turn has been spoken
+      controller: new AbortController(),
+      metrics: metricsRef.current?.startTurn(trigger, { recognitionMs }),
+    };
+    // Ending the call cancels the turn's pending chat request, so a late reply is never spoken
+    callControllerRef.current?.signal.addEventListener('abort', () => turn.controller.abort(), { once: true });
+    agentTurnRef.current = turn;
+    return turn;
+  };
+
+  const queueSpeech = (turn, sentence) => {
+    if (agentTurnRef.current !== turn || !sentence) return;
+
+    turn.text = turn.text ? `${turn.text} ${sentence}` : sentence;
+    if (turn.lineIndex === -1) {
+      turn.lineIndex = transcriptLinesRef.current.length;
+      // Timed by the speech itself, see speakNext
+      addTranscriptLine('agent', turn.text, { start: null });
+      turn.messageIndex = messagesRef.current.push({ role: 'assistant', content: turn.text }) - 1;
+      send(CallEvent.AGENT_SPEAKING);
+    } else {
+      transcriptLinesRef.current[turn.lineIndex].text = turn.text;
+      messagesRef.current[turn.messageIndex].content = turn.text;
+      setTranscript([...transcriptLinesRef.current]);
+    }
+
+    turn.queue.push(sentence);
+    if (!turn.utter) speakNext(turn);
+  };
+
+  const speakNext = (turn) => {
+    if (agentTurnRef.current !== turn) return;
+
+    const sentence = turn.queue.shift();
+    if (sentence === undefined) {
+      turn.utter = null;
+      if (turn.done) completeAgentTurn(turn);
+      return;
+    }
+
+    const utter = {};   // identifies this utterance in the callbacks below
+    turn.utter = utter;
+    turn.utterText = sentence;
+    spokenCharsRef.current = 0;
+
+    const line = transcriptLinesRef.current[turn.lineIndex];
+
+    const next = () => {
+      // Interrupted utterances were already handled by interruptSpeech
+      if (agentTurnRef.current !== turn || turn.utter !== utter) return;
+      if (turn.metrics) metricsRef.current.speechEnded(turn.metrics);
+      turn.spokenText = turn.spokenText ? `${turn.spokenText} ${sentence}` : sentence;
+      line.end = recordingOffset();
+      speakNext(turn);
+    };
+
+    // Text mode with speech off: the reply only shows up as a chat bubble
+    if (inputModeRef.current === InputMode.TEXT && !speakRepliesRef.current) {
+      if (line.start == null) line.start = recordingOffset();
+      next();
+      return;
+    }
+
+    ttsRef.current.speak(sentence, {
+      ...speechOptions(),
+      onstart: () => {
+        if (line.start == null) line.start = recordingOffset();
+        if (turn.metrics) metricsRef.current.speechStarted(turn.metrics);
+      },
+      // Track how far the voice got, so an interrupted turn can be truncated accurately
+      onboundary: (e) => {
+        if (turn.utter === utter) spokenCharsRef.current = e.charIndex + e.charLength;
+      },
+      onend: next,
+      onerror: next,
+    });
+  };
+
+  // Voice, rate, pitch and volume from the caller's settings. A chosen voice is looked up by
+  // name for the current language; without one the scenario's persona voice is used, or the
+  // engine picks a matching voice itself.
+  const speechOptions = (settings = voiceSettingsRef.current) => {
+    const name = settings.voices[baseLanguage(langRef.current)];
+    const voice = name ? ttsRef.current.getVoices().find(v => v.name === name) : personaVoice();
+    return { voice, rate: settings.rate, pitch: settings.pitch, volume: settings.volume };
+  };
+
+  // Best installed voice for the call language among those matching the persona's pattern
+  const personaVoice = () => {
+    const pattern = scenarioRef.current?.persona?.voice;
+    if (!pattern) return undefined;
+    const matches = new RegExp(pattern, 'i');
+    const voices = ttsRef.current.getVoices().filter(v => matches.test(v.name));
+    return pickVoice(voices, langRef.current, pattern) ?? undefined;
+  };
+
+  const finishAgentTurn = (turn) => {
+    if (agentTurnRef.current !== turn) return;
+    turn.done = true;
+    if (!turn.utter) completeAgentTurn(turn);
+  };
+
+  const completeAgentTurn = (turn) => {
+    agentTurnRef.current = null;
+    if (turn.metrics) metricsRef.current.finishTurn(turn.metrics);
+    if (turn.endCallAfter) {
+      endCall();
+      return;
+    }
+    send(CallEvent.AGENT_DONE);
+  };
+
+  // Speaks a line of our own (not from /api/chat) as an agent turn
+  const speakLocal = (key, { endCallAfter = false } = {}) => {
+    const turn = beginAgentTurn({ trigger: 'prompt' });
+    turn.endCallAfter = endCallAfter;
+    queueSpeech(turn, translator(langRef.current)(key));
+    finishAgentTurn(turn);
+  };
+
+  const applyActions = (turn, { text, actions }) => {
+    const all = configRef.current.legacyEndCallKeywords ? [...actions, ...legacyEndCallActions(text)] : actions;
+    for (const action of all) {
+      switch (action.type) {
+        case END_CALL:
+          turn.endCallAfter = true;
+          break;
+        case UPDATE_LEAD:
+          updateLead(mergeAgentLead(leadRef.current, action.fields, editedLeadKeysRef.current));
+          break;
+        default:
+          console.warn('Ignoring unknown chat action', action);
+      }
+    }
+  };
+
+  // Requests the agent's reply to the conversation so far and speaks it. `metrics` are the
+  // beginAgentTurn options.
+  const runAgentTurn = async (messages, metrics) => {
+    const turn = beginAgentTurn(metrics);
+    const sentAt = Date.now();
+    try {
+      const reply = await backendChat(messages, {
+        onSentence: (sentence) => {
+          if (turn.metrics) metricsRef.current.firstSentence(turn.metrics, sentAt);
+          queueSpeech(turn, sentence);
+        },
+        signal: turn.controller.signal,
+      });
+      if (turn.metrics) metricsRef.current.chatDone(turn.metrics, sentAt);
+      applyActions(turn, reply);
+      finishAgentTurn(turn);
+      return true;
+    } catch (err) {
+      // The caller barged in while the reply was still streaming, or the call ended
+      if (turn.interrupted || err instanceof CancelledError) return true;
+      if (agentTurnRef.current === turn) agentTurnRef.current = null;
+      if (turn.metrics) metricsRef.current.finishTurn(turn.metrics, { failed: true });
+      ttsRef.current.cancel();
+      console.error(err);
+      return err;
+    }
+  };
+
+  // Caller started talking over the agent: stop TTS and record what was actually heard
+  const interruptSpeech = () => {
+    const turn = agentTurnRef.current;
+    agentTurnRef.current = null;
+    ttsRef.current.cancel();
+    send(CallEvent.BARGE_IN);
+    if (!turn) return;
+
+    turn.interrupted = true;
+    turn.controller.abort();
+    if (turn.metrics) metricsRef.current.finishTurn(turn.metrics, { interrupted: true });
+
+    const partial = turn.utter ? turn.utterText.slice(0, spokenCharsRef.current).trim() : '';
+    const heard = [turn.spokenText, partial].filter(Boolean).join(' ');
+    const truncated = heard ? `${heard}…` : '';
+
+    const line = transcriptLinesRef.current[turn.lineIndex];
+    if (line) {
+      line.end = recordingOffset();
+      line.text = truncated;
+      line.fullText = turn.text;
+      line.interrupted = true;
+      setTranscript([...transcriptLinesRef.current]);
+    }
+
+    const message = messagesRef.current[turn.messageIndex];
+    if (message) {
+      message.content = `${truncated} [interrupted by caller]`.trim();
+    }
+  };
+
+  // The recognizer can pick up the agent's own voice: an interim result that repeats part of
+  // the sentence being spoken is taken for an echo of it
+  const isEchoOfAgent = (heard) => {
+    const turn = agentTurnRef.current;
+    if (!turn?.utter) return false;
+    const h = normalizeHeard(heard);
+    if (!h) return true;
+    return h.split(' ').length >= ECHO_MIN_WORDS && normalizeHeard(turn.utterText).includes(h);
+  };
+
+  // --- recognizer callbacks --------------------------------------------------
+
+  const handleResult = async ({ finalText, interimText: interim }) => {
+    if (stateRef.current === CallState.SPEAKING) {
+      // A final result is always the caller's turn, only interim ones are ignored as echo
+      if (!finalText && isEchoOfAgent(interim)) return;
+      interruptSpeech();
+    }
+    // Late results after the recognizer was told to stop
+    if (stateRef.current !== CallState.LISTENING) return;
+
+    // The first result of an utterance is the closest we get to when the caller started talking
+    callerStartRef.current ??= recordingOffset();
+    armSilenceTimer();
+
+    // Interim results only update the live caption
+    if (!finalText) {
+      lastHeardAtRef.current = Date.now();
+      setInterimText(interim);
+      return;
+    }
+
+    setInterimText('');
+    stopRecognizer();
+
+    // Recognition latency runs from the end of speech, or the last interim result when the
+    // engine doesn't report it
+    const speechEndedAt = speechEndedAtRef.current ?? lastHeardAtRef.current;
+    const recognitionMs = speechEndedAt ? Date.now() - speechEndedAt : null;
+    const start = callerStartRef.current;
+    callerStartRef.current = null;
+    takeCallerTurn(finalText, { start, end: recordingOffset() }, { trigger: 'voice', recognitionMs });
+  };
+
+  const handleSpeechEnd = ({ endedAt } = {}) => {
+    speechEndedAtRef.current = endedAt ?? Date.now();
+  };
+
+  // A finished caller turn, spoken or typed. `metrics` start the agent's turn, see beginAgentTurn.
+  const takeCallerTurn = async (text, timing, metrics) => {
+    silencePromptsRef.current = 0;
+    addTranscriptLine('user', text, timing);
+    if (awaitingConsentRef.current) {
+      send(CallEvent.CALLER_TURN);
+      answerConsent(text);
+      return;
+    }
+    messagesRef.current.push({ role: 'user', content: text });
+    send(CallEvent.CALLER_TURN);
+
+    const result = await runAgentTurn(chatContext(), metrics);
+    if (result !== true) send(CallEvent.AGENT_DONE, { error: result });
+  };
+
+  // A message from the text box. Typing while the agent talks interrupts it, like barge-in.
+  // Returns false when it isn't the caller's turn.
+  const sendText = (text) => {
+    const typed = text.trim();
+    if (!typed) return false;
+    if (stateRef.current === CallState.SPEAKING) interruptSpeech();
+    if (stateRef.current !== CallState.LISTENING) return false;
+
+    stopRecognizer();
+    setInterimText('');
+    const at = recordingOffset();
+    takeCallerTurn(typed, { start: at, end: at, typed: true }, { trigger: 'text' });
+    return true;
+  };
+
+  // Browsers fire onend after onerror; the error decides how soon (and whether) to listen again,
+  // see ../lib/recognizerRestart
+  const handleRecognizerEnd = () => {
+    isListeningRef.current = false;
+    callerStartRef.current = null;
+    const delay = restartDelayRef.current;
+    restartDelayRef.current = RESTART_DELAY_MS;
+    if (!shouldListen()) return;
+    restartPendingRef.current = true;
+    scheduleListen(delay);
+  };
+
+  const handleRecognizerError = (e) => {
+    isListeningRef.current = false;
+    metricsRef.current?.recognitionError(e.error);
+    refreshMetrics();
+    if (isFatalRecognizerError(e.error)) {
+      micBlockedRef.current = true;
+      setMicBlocked(true);
+      clearTimeout(listenTimerRef.current);
+      // The conversation goes on in the text box
+      setInputMode(InputMode.TEXT);
+      return;
+    }
+    restartDelayRef.current = restartDelayAfter(e.error);
+    // Not every engine follows up with onend
+    if (!shouldListen()) return;
+    restartPendingRef.current = true;
+    scheduleListen(restartDelayRef.current);
+  };
+
+  useEffect(() => {
+    handlersRef.current = {
+      onresult: handleResult,
+      onend: handleRecognizerEnd,
+      onerror: handleRecognizerError,
+      onspeechend: handleSpeechEnd,
+      followCallState,
+      armSilenceTimer,
+      restoreReview,
+    };
+  });
+
+  useEffect(() => {
+    handlersRef.current.followCallState(state, config.bargeIn);
+  }, [state, config.bargeIn, inputMode]);
+
+  // Speech engines setup
+  useEffect(() => {
+    const rec = createSttEngine({
+      preference: config.sttEngine,
+      lang: langRef.current,
+      transcribe: api.transcribe,
+      getStream: () => micStreamRef.current,
+    });
+    const tts = createTtsEngine({
+      preference: config.ttsEngine,
+      synthesize: api.tts,
+      voicePreference: config.voicePreference,
+      lang: langRef.current,
+    });
+    rec.onresult = (r) => handlersRef.current.onresult(r);
+    rec.onend    = () => handlersRef.current.onend();
+    rec.onerror  = (e) => handlersRef.current.onerror(e);
+    rec.onspeechend = (e) => handlersRef.current.onspeechend(e);
+    tts.setAudioTap?.(audio => recorderRef.current?.addAgentAudio(audio));
+    recognitionRef.current = rec;
+    ttsRef.current = tts;
+
+    return () => {
+      clearTimeout(listenTimerRef.current);
+      rec.abort?.();
+      tts.dispose();
+      isListeningRef.current = false;
+    };
+  }, [api, config.sttEngine, config.ttsEngine, config.voicePreference]);
+
+  // Installed voices of the current TTS engine, updated when the browser loads more
+  const subscribeVoices = useCallback(
+    (listener) => ttsRef.current?.subscribeVoices(listener) ?? (() => {}),
+    [],
+  );
+  const voices = useSyncExternalStore(subscribeVoices, () => ttsRef.current?.getVoices() ?? NO_VOICES);
+
+  // Speaks a sample with `settings` so the caller can hear a change before a call
+  const previewVoice = (settings, text) => {
+    if (isInCall(stateRef.current)) return;
+    ttsRef.current.cancel();
+    ttsRef.current.speak(text, speechOptions(settings));
+  };
+
+  // Works mid-call too: the next caller turn is recognized, answered and spoken in `next`
+  const setLanguage = (next) => {
+    if (next === langRef.current) return;
+    langRef.current = next;
+    setLang(next);
+    recognitionRef.current?.setLang(next);
+    ttsRef.current?.setLang?.(next);
+    // The browser recognizer only reads its language on start; onend restarts it
+    if (isListeningRef.current) {
+      recognitionRef.current.stop();
+      isListeningRef.current = false;
+    }
+  };
+
+  // Voice or text, before or during a call. Switching to voice retries a blocked recognizer.
+  const setInputMode = (mode) => {
+    inputModeRef.current = mode;
+    setInputModeState(mode);
+    if (mode === InputMode.TEXT) {
+      stopRecognizer();
+      setInterimText('');
+      callerStartRef.current = null;
+    } else {
+      micBlockedRef.current = false;
+      setMicBlocked(false);
+      // A call started in text mode has no microphone yet, which the remote recognizer needs
+      if (isInCall(stateRef.current) && stateRef.current !== CallState.CONNECTING &&
+          !micStreamRef.current && !micOpeningRef.current) {
+        openCallMicrophone().then(stream => {
+          if (stream && shouldListen()) startRecognizer();
+        });
+      }
+    }
+  };
+
+  const setSpeakReplies = (on) => {
+    speakRepliesRef.current = on;
+    setSpeakRepliesState(on);
+    if (!on && inputModeRef.current === InputMode.TEXT) ttsRef.current?.cancel();
+  };
+
+  // --- silence & call length ------------------------------------------------------
+
+  const armSilenceTimer = () => {
+    clearTimeout(silenceTimerRef.current);
+    const seconds = configRef.current.silenceTimeoutSec;
+    if (seconds > 0) silenceTimerRef.current = setTimeout(handleSilence, seconds * 1000);
+  };
+
+  // Re-prompt a silent caller; after `silencePrompts` unanswered prompts say goodbye and hang up
+  const handleSilence = () => {
+    if (stateRef.current !== CallState.LISTENING) return;
+    const { silenceTimeoutSec, silencePrompts } = configRef.current;
+    if (silencePromptsRef.current >= silencePrompts) {
+      addTranscriptNote('silence-ended', 'note.silenceEnded', { prompts: silencePromptsRef.current });
+      speakLocal('silence.goodbye', { endCallAfter: true });
+      return;
+    }
+    silencePromptsRef.current++;
+    addTranscriptNote('silence', 'note.silence', { seconds: silenceTimeoutSec });
+    speakLocal('silence.prompt');
+  };
+
+  // Typing in the text box counts as the caller still being there
+  const noteCallerActivity = () => {
+    if (stateRef.current === CallState.LISTENING) armSilenceTimer();
+  };
+
+  const handleMaxDuration = () => {
+    if (!isInCall(stateRef.current)) return;
+    addTranscriptNote('max-duration', 'note.maxDuration', { minutes: configRef.current.maxCallMinutes });
+    endCall();
+  };
+
+  // Silence only counts while it's the caller's turn
+  useEffect(() => {
+    if (state !== CallState.LISTENING) return;
+    handlersRef.current.armSilenceTimer();
+    return () => clearTimeout(silenceTimerRef.current);
+  }, [state]);
+
+  useEffect(() => () => {
+    clearTimeout(silenceTimerRef.current);
+    clearTimeout(maxDurationTimerRef.current);
+  }, []);
+
+  // --- metrics ------------------------------------------------------------------
+
+  const refreshMetrics = () => {
+    if (metricsRef.current) setMetrics(metricsRef.current.report());
+  };
+
+  // Sends finished turns to api.metrics; `report` goes with the last batch of a call.
+  // Telemetry is best effort, failures are only logged.
+  const flushMetrics = (report = null) => {
+    const turns = metricsBatchRef.current;
+    metricsBatchRef.current = [];
+    if (!configRef.current.sendMetrics || (!turns.length && !report)) return;
+    api.metrics({ callId: callIdRef.current, turns, ...(report && { report }) })
+      .catch(err => console.warn('Could not send metrics:', err));
+  };
+
+  const handleTurnMetrics = (turn) => {
+    metricsBatchRef.current.push(turn);
+    refreshMetrics();
+    if (metricsBatchRef.current.length >= configRef.current.metricsBatchSize) flushMetrics();
+  };
+
+  // --- recording consent -------------------------------------------------------
+
+  const decideConsent = (granted, method, options = {}) => {
+    consentRef.current = consentRecord(configRef.current.recordingConsent, granted, { method, ...options });
+    setConsent(consentRef.current);
+  };
+
+  const startRecording = (stream) => {
+    // Two-party recording when the TTS engine can hand over its audio
+    recorderRef.current = createCallRecorder(stream, { mixAgent: Boolean(ttsRef.current.setAudioTap) });
+    recordingStartedAtRef.current = Date.now();
+    setRecording(true);
+  };
+
+  const answerConsent = (text) => {
+    const answer = parseConsentAnswer(text, langRef.current);
+    if (!answer && consentRetriesRef.current < CONSENT_RETRIES) {
+      consentRetriesRef.current++;
+      speakLocal('consent.repeat');
+      return;
+    }
+    awaitingConsentRef.current = false;
+    decideConsent(answer === 'yes', 'spoken', { answer: text });
+    if (answer === 'yes') {
+      try {
+        startRecording(micStreamRef.current);
+      } catch (err) {
+        console.error('Could not start recording:', err);
+      }
+    }
+    // The disclosure is not part of the conversation the agent sees
+    messagesRef.current = [];
+    chatContextRef.current = { summary: '', foldedCount: 0, folding: false };
+    greet();
+  };
+
+  // --- post-call review ---------------------------------------------------------
+
+  const updateReview = (next) => {
+    reviewRef.current = next;
+    setReview(next);
+  };
+
+  // Shows the held item with the reviewer's draft; without a summary one is asked for
+  const openReview = (item) => {
+    reviewItemRef.current = item;
+    const { summary, recipientsText, note } = item.draft;
+    updateReview({ summary, summaryStatus: 'ready', summaryError: null, recipientsText, note });
+    if (!summary) regenerateSummary();
+  };
+
+  const regenerateSummary = async () => {
+    const item = reviewItemRef.current;
+    if (!item) return;
+    const request = ++summaryRequestRef.current;
+    updateReview({ ...reviewRef.current, summaryStatus: 'loading', summaryError: null });
+    try {
+      const summary = await deliveryHandlers.summarize(item.payload.transcript, { locale: item.payload.locale });
+      if (request === summaryRequestRef.current) editReview({ summary, summaryStatus: 'ready' });
+    } catch (err) {
+      console.error('Summary error:', err);
+      if (request === summaryRequestRef.current) {
+        updateReview({ ...reviewRef.current, summaryStatus: 'failed', summaryError: err });
+      }
+    }
+  };
+
+  // Changes to the summary, recipients or note; the draft is saved with the held item
+  const editReview = (changes) => {
+    if (!reviewRef.current) return;
+    updateReview({ ...reviewRef.current, ...changes });
+    const item = reviewItemRef.current;
+    if (!item.id) return;
+    const { summary, recipientsText, note } = reviewRef.current;
+    saveReviewDraft(item, { summary, recipientsText, note })
+      .catch(err => console.warn('Could not save the review draft:', err));
+  };
+
+  const closeReview = () => {
+    const item = reviewItemRef.current;
+    reviewItemRef.current = null;
+    summaryRequestRef.current++;
+    updateReview(null);
+    return item;
+  };
+
+  // Sends the reviewed email. An empty summary is generated on delivery as usual.
+  const sendReview = async ({ recipients, note }) => {
+    if (!reviewItemRef.current || !send(CallEvent.SEND)) return;
+    const summary = reviewRef.current.summary.trim();
+    const item = closeReview();
+    const { payload } = item;
+    Object.assign(payload, { summary: summary || null, recipients, note: note.trim(), reviewed: true });
+    await recordHistory(updateCall(payload.deliveryId, { emailStatus: 'sending', summary, note: payload.note }));
+    await deliver(payload);
+    // Sent or queued by now; a reload before this point shows the review again
+    if (item.id) await releaseReview(item.id).catch(err => console.warn('Could not release the review:', err));
+  };
+
+  const discardReview = () => {
+    if (!reviewItemRef.current || !send(CallEvent.DISCARD, { key: 'status.reviewDiscarded' })) return;
+    const item = closeReview();
+    recordHistory(item.id ? discardOutboxItem(item.id) : updateCall(item.callId, { emailStatus: 'discarded' }));
+  };
+
+  // Picks up a review a reload interrupted: transcript, recording, lead and the reviewer's edits
+  const restoreReview = (item) => {
+    if (!send(CallEvent.REVIEW)) return;
+    const { payload, lines } = item;
+    callIdRef.current = item.callId;
+    transcriptLinesRef.current = lines;
+    setTranscript(lines);
+    updateLead(payload.lead);
+    if (payload.recording) setRecordingUrl(URL.createObjectURL(payload.recording));
+    openReview(item);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    findHeldReview()
+      .then(item => { if (item && !cancelled) handlersRef.current.restoreReview(item); })
+      .catch(err => console.warn('Could not restore the review:', err));
+    return () => { cancelled = true; };
+  }, []);
+
+  // --- microphone --------------------------------------------------------------
+
+  // Opens the microphone for the running call and starts the level meter. Resolves with the
+  // stream, or null when it can't be opened (the call carries on in text mode) or the call
+  // ended while the browser was asking.
+  const openCallMicrophone = async () => {
+    const signal = callControllerRef.current?.signal;
+    micOpeningRef.current = true;
+    try {
+      const { stream } = await openMicrophone(micSettingsRef.current);
+      if (signal?.aborted) {
+        stream.getTracks().forEach(track => track.stop());
+        return null;
+      }
+      micStreamRef.current = stream;
+      stopMeterRef.current = createLevelMeter(stream, level => onMicLevelRef.current?.(level));
+      return stream;
+    } catch (err) {
+      console.error('Microphone access error:', err);
+      if (signal?.aborted) return null;
+      releaseMicrophone();
+      micBlockedRef.current = true;
+      setMicBlocked(true);
+      setInputMode(InputMode.TEXT);
+      return null;
+    } finally {
+      micOpeningRef.current = false;
+    }
+  };
+
+  const releaseMicrophone = () => {
+    stopMeterRef.current?.();
+    stopMeterRef.current = null;
+    micStreamRef.current?.getTracks().forEach(track => track.stop());
+    micStreamRef.current = null;
+  };
+
+  // --- call lifecycle ----------------------------------------------------------
+
+  // History is best effort: a browser without IndexedDB (or a full disk) must not break the call
+  const recordHistory = (promise) =>
+    promise.catch(err => console.warn('Could not update call history:', err));
+
+  const greet = async () => {
+    const result = await runAgentTurn(
+      [{ role: 'user', content: scenarioOpening(scenarioRef.current, configRef.current) }],
+      { trigger: 'greeting' },
+    );
+    if (result !== true) {
+      await endCall();
+      setNotice({ key: 'status.startFailed', error: result });
+    }
+  };
+
+  // `consentChecked` is the on-screen consent box, used when the consent mode asks for it.
+  // `scenario` defaults to the generic one built from `greetingPrompt`.
+  const startCall = async ({ consentChecked = false, scenario } = {}) => {
+    if (!send(CallEvent.START)) return;
+
+    const call = beginCallRecord();
+    scenarioRef.current = scenario ?? genericScenario(configRef.current);
+    callIdRef.current = call.id;
+    callStartedAtRef.current = call.startedAt;
+    callControllerRef.current = new AbortController();
+    transcriptLinesRef.current = [];
+    setTranscript([]);
+    setInterimText('');
+    setRecordingUrl(null);
+    setCallInfo(null);
+    messagesRef.current = [];
+    chatContextRef.current = { summary: '', foldedCount: 0, folding: false };
+    setContextStats(null);
+    updateLead(emptyLead());
+    editedLeadKeysRef.current = new Set();
+    setEditedLeadKeys(editedLeadKeysRef.current);
+    recordingStartedAtRef.current = 0;
+    setRecording(false);
+    callerStartRef.current = null;
+    consentRef.current = null;
+    setConsent(null);
+    awaitingConsentRef.current = false;
+    consentRetriesRef.current = 0;
+    silencePromptsRef.current = 0;
+    isListeningRef.current = false;
+    micBlockedRef.current = false;
+    setMicBlocked(false);
+    restartDelayRef.current = RESTART_DELAY_MS;
+    restartPendingRef.current = false;
+    speechEndedAtRef.current = null;
+    lastHeardAtRef.current = null;
+    metricsBatchRef.current = [];
+    metricsRef.current = createCallMetrics({ callId: call.id, onTurnDone: handleTurnMetrics });
+    setMetrics(metricsRef.current.report());
+
+    const maxMinutes = configRef.current.maxCallMinutes;
+    if (maxMinutes > 0) {
+      maxDurationTimerRef.current = setTimeout(handleMaxDuration, maxMinutes * 60_000);
+      setDeadline(call.startedAt + maxMinutes * 60_000);
+    }
+
+    // Nothing is recorded until the consent mode allows it; a spoken disclosure decides later
+    const mode = configRef.current.recordingConsent;
+    if (asksCheckbox(mode) && !consentChecked) decideConsent(false, 'checkbox');
+    else if (asksSpoken(mode)) awaitingConsentRef.current = true;
+    else if (asksCheckbox(mode)) decideConsent(true, 'checkbox');
+
+    // Open the microphone and start recording. Text calls don't use it; without it the call
+    // carries on in text mode, unrecorded. The caller may hang up while the browser asks.
+    if (inputModeRef.current === InputMode.VOICE) {
+      const stream = await openCallMicrophone();
+      if (!stream && stateRef.current !== CallState.CONNECTING) return;
+      if (stream && (mode === ConsentMode.OFF || consentRef.current?.granted)) startRecording(stream);
+    }
+    // Nothing to ask about without a recording
+    if (!micStreamRef.current) awaitingConsentRef.current = false;
+
+    if (!send(CallEvent.CONNECTED)) return;
+    if (awaitingConsentRef.current) speakLocal('consent.disclosure');
+    else greet();
+  };
+
+  const endCall = async () => {
+    if (!canTransition(stateRef.current, CallEvent.HANG_UP)) return;
+    callControllerRef.current?.abort();
+    send(CallEvent.HANG_UP);
+    setInterimText('');
+    stopRecognizer();
+    clearTimeout(silenceTimerRef.current);
+    clearTimeout(maxDurationTimerRef.current);
+    setDeadline(null);
+
+    // With barge-in the agent may still be mid-sentence
+    const unfinishedTurn = agentTurnRef.current;
+    agentTurnRef.current = null;
+    ttsRef.current.cancel();
+    if (unfinishedTurn?.metrics) metricsRef.current.finishTurn(unfinishedTurn.metrics, { interrupted: true });
+    const metricsReport = metricsRef.current.report();
+    setMetrics(metricsReport);
+    flushMetrics(metricsReport);
+
+    // Stop recording & create blob
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    const recordingBlob = recorder ? await recorder.stop() : null;
+    if (recordingBlob) setRecordingUrl(URL.createObjectURL(recordingBlob));
+    setRecording(false);
+
+    // Hung up before answering the disclosure
+    if (awaitingConsentRef.current) {
+      awaitingConsentRef.current = false;
+      decideConsent(false, 'spoken', { decidedAt: null });
+    }
+
+    releaseMicrophone();
+    const reviewFirst = configRef.current.reviewBeforeSend;
+    send(reviewFirst ? CallEvent.REVIEW : CallEvent.RECORDING_CLOSED);
+
+    // Prepare content for email. Only redacted copies leave the browser; the screen switches
+    // to them too, so what the caller sees is what was sent.
+    const { redactionDetectors, redactionRules, keepUnredactedTranscript } = configRef.current;
+    const redact = createRedactor({ detectors: redactionDetectors, rules: redactionRules });
+    const rawLines = transcriptLinesRef.current.map(l => ({ ...l }));
+    const lines = redactLines(rawLines, redact);
+    setTranscript(lines);
+    const fullTranscript = toPlainText(lines);
+    const consent = consentRef.current?.answer
+      ? { ...consentRef.current, answer: redact(consentRef.current.answer).text }
+      : consentRef.current;
+
+    const callId  = callIdRef.current;
+    const endedAt = Date.now();
+    const callInfo = {
+      id: callId,
+      startedAt: callStartedAtRef.current,
+      recordingStartedAt: recordingStartedAtRef.current || null,
+      recordingLayout: recordingBlob ? recorder.layout : null,
+      consent,
+      lang: langRef.current,
+      scenario: scenarioRef.current.id,
+    };
+    // Browser TTS can't be recorded, so its turns travel as markers next to the recording
+    const markers = callInfo.recordingLayout === RecordingLayout.CALLER_ONLY ? agentMarkers(lines) : null;
+    setCallInfo(callInfo);
+    await recordHistory(saveCall({
+      ...callInfo,
+      endedAt,
+      durationMs: endedAt - callStartedAtRef.current,
+      transcript: lines,
+      ...(keepUnredactedTranscript && { transcriptUnredacted: rawLines }),
+      agentMarkers: markers,
+      summary: '',
+      lead: leadRef.current,
+      recording: recordingBlob,
+      emailStatus: reviewFirst ? 'review' : 'sending',
+    }));
+
+    // summary stays null until /api/summary succeeds, so a queued retry knows what's left to do
+    const payload = {
+      deliveryId: callId,
+      recipients: scenarioRecipients(scenarioRef.current, configRef.current.emailRecipients),
+      subject: scenarioRef.current.email.subject,
+      scenario: scenarioRef.current.id,
+      transcript: fullTranscript,
+      transcriptJson: toTranscriptJson(lines, callInfo),
+      summary: null,
+      lead: leadRef.current,
+      locale: langRef.current,
+      recording: recordingBlob,
+      recordingLayout: callInfo.recordingLayout,
+      agentMarkers: markers,
+      consent,
+      metrics: metricsReport,
+    };
+
+    if (reviewFirst) {
+      const draft = { summary: '', recipientsText: payload.recipients.join(', '), note: '' };
+      const item = await holdForReview(payload, { callId, lines, draft }).catch(err => {
+        console.warn('Could not save the review, a reload will lose it:', err);
+        return { id: null, callId, payload, lines, draft };
+      });
+      openReview(item);
+    } else {
+      await deliver(payload);
+    }
+  };
+
+  // Summary and email, with the outbox taking over when they fail
+  const deliver = async (payload) => {
+    const callId = payload.deliveryId;
+    try {
+      await deliverPayload(payload, deliveryHandlers);
+      send(CallEvent.DELIVERY_DONE, { key: 'status.emailSent' });
+      recordHistory(updateCall(callId, { emailStatus: 'sent', summary: payload.summary ?? '' }));
+    } catch (err) {
+      console.error('Final delivery error:', err);
+      try {
+        await enqueueDelivery(payload, { callId, error: err });
+        send(CallEvent.DELIVERY_DONE, { key: 'status.emailQueued' });
+        recordHistory(updateCall(callId, { emailStatus: 'queued', emailError: err.message, summary: payload.summary || '' }));
+      } catch (queueErr) {
+        console.error('Could not queue delivery:', queueErr);
+        send(CallEvent.DELIVERY_DONE, { key: 'status.emailFailed' });
+        recordHistory(updateCall(callId, { emailStatus: 'failed', emailError: err.message }));
+      }
+    }
+  };
+
+  const t = translator(lang);
+  let statusText = t(`status.${state}`);
+  if (micBlocked && isInCall(state)) statusText = t('status.micDenied');
+  else if (notice) statusText = describeNotice(notice, t);
+  else if (inputMode === InputMode.TEXT && state === CallState.LISTENING) statusText = t('status.yourTurn');
+
+  return {
+    state,
+    statusText,
+    lang,
+    setLanguage,
+    voices,
+    previewVoice,
+    t,
+    inCall: isInCall(state),
+    transcript,
+    interimText,
+    lead,
+    editedLeadKeys,
+    editLead,
+    recordingUrl,
+    recording,
+    inputMode,
+    setInputMode,
+    speakReplies,
+    setSpeakReplies,
+    sendText,
+    noteCallerActivity,
+    deadline,
+    consent,
+    callInfo,
+    metrics,
+    contextStats,
+    review,
+    regenerateSummary,
+    editReview,
+    sendReview,
+    discardReview,
+    startCall,
+    endCall,
+  };
+};
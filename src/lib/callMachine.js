@@ -0,0 +1,93 @@
+// Call lifecycle as an explicit state machine.
+//
+//   idle ──START──▶ connecting ──CONNECTED──▶ greeting ──AGENT_SPEAKING──▶ speaking
+//                        │                                                 │  ▲
+//                 CONNECT_FAILED                       AGENT_DONE / BARGE_IN  │  AGENT_SPEAKING
+//                        ▼                                                 ▼  │
+//                      idle                listening ──CALLER_TURN──▶ thinking
+//
+// The agent can also speak up from listening (AGENT_SPEAKING), e.g. to re-prompt a silent caller.
+//
+// HANG_UP is accepted from every in-call state and leads to
+//   ending ──RECORDING_CLOSED──▶ delivering ──DELIVERY_DONE──▶ ended ──START──▶ connecting
+//
+// When the email is reviewed before it goes out (reviewBeforeSend), ending waits for a person:
+//   ending ──REVIEW──▶ reviewing ──SEND──▶ delivering
+//                          └──────DISCARD──▶ ended
+// A review interrupted by a reload is picked up again from idle through REVIEW.
+
+export const CallState = Object.freeze({
+  IDLE:       'idle',
+  CONNECTING: 'connecting',   // opening the microphone
+  GREETING:   'greeting',     // waiting for the agent's first words
+  LISTENING:  'listening',
+  THINKING:   'thinking',     // caller finished a turn, waiting for the reply
+  SPEAKING:   'speaking',
+  ENDING:     'ending',       // closing the recording
+  REVIEWING:  'reviewing',    // summary, recipients and note are checked before sending
+  DELIVERING: 'delivering',   // summary + email
+  ENDED:      'ended',
+});
+
+export const CallEvent = Object.freeze({
+  START:            'START',
+  CONNECTED:        'CONNECTED',
+  CONNECT_FAILED:   'CONNECT_FAILED',
+  AGENT_SPEAKING:   'AGENT_SPEAKING',   // first sentence of an agent turn started playing
+  AGENT_DONE:       'AGENT_DONE',       // agent turn finished, was empty or failed
+  BARGE_IN:         'BARGE_IN',         // caller talked over the agent
+  CALLER_TURN:      'CALLER_TURN',      // final transcript of a caller turn
+  HANG_UP:          'HANG_UP',
+  RECORDING_CLOSED: 'RECORDING_CLOSED',
+  REVIEW:           'REVIEW',           // recording closed, the email waits for review
+  SEND:             'SEND',             // reviewer approved the email
+  DISCARD:          'DISCARD',          // reviewer dropped the email
+  DELIVERY_DONE:    'DELIVERY_DONE',
+});
+
+// How the caller talks to the agent. Independent of the call state: the caller can switch
+// between the microphone and the text box at any point of a call.
+export const InputMode = Object.freeze({
+  VOICE: 'voice',
+  TEXT:  'text',
+});
+
+const S = CallState;
+const E = CallEvent;
+
+const TRANSITIONS = {
+  [S.IDLE]:       { [E.START]: S.CONNECTING, [E.REVIEW]: S.REVIEWING },
+  [S.CONNECTING]: { [E.CONNECTED]: S.GREETING, [E.CONNECT_FAILED]: S.IDLE, [E.HANG_UP]: S.ENDING },
+  [S.GREETING]:   { [E.AGENT_SPEAKING]: S.SPEAKING, [E.AGENT_DONE]: S.LISTENING, [E.HANG_UP]: S.ENDING },
+  [S.LISTENING]:  { [E.CALLER_TURN]: S.THINKING, [E.AGENT_SPEAKING]: S.SPEAKING, [E.HANG_UP]: S.ENDING },
+  [S.THINKING]:   { [E.AGENT_SPEAKING]: S.SPEAKING, [E.AGENT_DONE]: S.LISTENING, [E.HANG_UP]: S.ENDING },
+  [S.SPEAKING]:   { [E.AGENT_DONE]: S.LISTENING, [E.BARGE_IN]: S.LISTENING, [E.HANG_UP]: S.ENDING },
+  [S.ENDING]:     { [E.RECORDING_CLOSED]: S.DELIVERING, [E.REVIEW]: S.REVIEWING },
+  [S.REVIEWING]:  { [E.SEND]: S.DELIVERING, [E.DISCARD]: S.ENDED },
+  [S.DELIVERING]: { [E.DELIVERY_DONE]: S.ENDED },
+  [S.ENDED]:      { [E.START]: S.CONNECTING },
+};
+
+const IN_CALL = new Set([S.CONNECTING, S.GREETING, S.LISTENING, S.THINKING, S.SPEAKING]);
+
+export class InvalidTransitionError extends Error {
+  constructor(state, event) {
+    super(`Event ${event} is not allowed in state ${state}`);
+    this.name = 'InvalidTransitionError';
+    this.state = state;
+    this.event = event;
+  }
+}
+
+export const canTransition = (state, event) => Boolean(TRANSITIONS[state]?.[event]);
+
+// Returns the next state, or throws InvalidTransitionError
+export const transition = (state, event) => {
+  if (!Object.values(CallEvent).includes(event)) throw new InvalidTransitionError(state, event);
+  const next = TRANSITIONS[state]?.[event];
+  if (!next) throw new InvalidTransitionError(state, event);
+  return next;
+};
+
+// True while the caller is on the line (mic open)
+export const isInCall = (state) => IN_CALL.has(state);
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { CallEvent, CallState, InvalidTransitionError, canTransition, isInCall, transition } from './callMachine';
+
+describe('callMachine', () => {
+  it('walks through a whole call', () => {
+    const events = [
+      CallEvent.START, CallEvent.CONNECTED, CallEvent.AGENT_SPEAKING, CallEvent.AGENT_DONE,
+      CallEvent.CALLER_TURN, CallEvent.AGENT_SPEAKING, CallEvent.BARGE_IN, CallEvent.HANG_UP,
+      CallEvent.RECORDING_CLOSED, CallEvent.DELIVERY_DONE,
+    ];
+    const states = [];
+    events.reduce((state, event) => {
+      const next = transition(state, event);
+      states.push(next);
+      return next;
+    }, CallState.IDLE);
+
+    expect(states).toEqual([
+      'connecting', 'greeting', 'speaking', 'listening', 'thinking', 'speaking', 'listening',
+      'ending', 'delivering', 'ended',
+    ]);
+  });
+
+  it('rejects events that make no sense in the current state', () => {
+    expect(() => transition(CallState.IDLE, CallEvent.HANG_UP)).toThrow(InvalidTransitionError);
+    expect(() => transition(CallState.DELIVERING, CallEvent.START)).toThrow(InvalidTransitionError);
+    expect(() => transition(CallState.LISTENING, 'NOT_AN_EVENT')).toThrow(InvalidTransitionError);
+    expect(canTransition(CallState.ENDING, CallEvent.HANG_UP)).toBe(false);
+  });
+
+  it('lets the agent speak up while the caller is silent', () => {
+    expect(transition(CallState.LISTENING, CallEvent.AGENT_SPEAKING)).toBe(CallState.SPEAKING);
+  });
+
+  it('holds the email for review when asked to', () => {
+    expect(transition(CallState.ENDING, CallEvent.REVIEW)).toBe(CallState.REVIEWING);
+    expect(transition(CallState.REVIEWING, CallEvent.SEND)).toBe(CallState.DELIVERING);
+    expect(transition(CallState.REVIEWING, CallEvent.DISCARD)).toBe(CallState.ENDED);
+    expect(transition(CallState.IDLE, CallEvent.REVIEW)).toBe(CallState.REVIEWING);
+    expect(isInCall(CallState.REVIEWING)).toBe(false);
+    expect(canTransition(CallState.REVIEWING, CallEvent.START)).toBe(false);
+  });
+
+  it('accepts HANG_UP from every in-call state', () => {
+    for (const state of Object.values(CallState).filter(isInCall)) {
+      expect(transition(state, CallEvent.HANG_UP)).toBe(CallState.ENDING);
+    }
+  });
+});
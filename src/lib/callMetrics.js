@@ -0,0 +1,115 @@
+// Per-turn latency and recognition telemetry for one call.
+//
+// A turn runs from the moment the caller's words are final (or the greeting is requested)
+// until the agent has finished speaking. Times are milliseconds:
+//   recognitionMs    end of the caller's speech -> final transcript
+//   chatMs           backendChat round-trip (firstSentenceMs: until the first streamed sentence)
+//   speechStartMs    turn start -> first TTS onstart, what the caller experiences as "latency"
+//   ttsMs            time spent speaking (onstart -> onend, summed over sentences)
+// Fields stay null when they don't apply (typed turns have no recognition, prompts no chat).
+
+const TIMED_FIELDS = ['recognitionMs', 'chatMs', 'firstSentenceMs', 'speechStartMs', 'ttsMs'];
+
+const round = (ms) => (ms == null ? null : Math.max(0, Math.round(ms)));
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+// count / mean / p50 / p90 / max of the non-null values
+export const summarize = (values) => {
+  const sorted = values.filter(v => v != null).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return {
+    count: sorted.length,
+    mean: Math.round(mean),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    max: sorted.at(-1),
+  };
+};
+
+const REPORT_FIELDS = ['index', 'trigger', 'startedAt', ...TIMED_FIELDS, 'interrupted', 'failed'];
+
+// Public view of a turn, without the bookkeeping fields
+const turnReport = (turn, callId) =>
+  ({ callId, ...Object.fromEntries(REPORT_FIELDS.map(field => [field, turn[field]])) });
+
+// `onTurnDone(turn)` is called when a turn's numbers are final, for batching and the overlay
+export const createCallMetrics = ({ callId, onTurnDone } = {}) => {
+  const turns = [];
+  const recognitionErrors = {};
+  let recognitionRestarts = 0;
+
+  const speechEnded = (turn) => {
+    if (turn.speakingSince == null) return;
+    turn.ttsMs = (turn.ttsMs ?? 0) + round(Date.now() - turn.speakingSince);
+    turn.speakingSince = null;
+  };
+
+  return {
+    // `trigger` is 'voice' | 'text' | 'greeting' | 'prompt'. Returns the turn record that the
+    // call flow fills in through the methods below.
+    startTurn(trigger, { recognitionMs = null } = {}) {
+      const turn = {
+        index: turns.length,
+        trigger,
+        startedAt: Date.now(),
+        recognitionMs: round(recognitionMs),
+        chatMs: null,
+        firstSentenceMs: null,
+        speechStartMs: null,
+        ttsMs: null,
+        interrupted: false,
+        failed: false,
+        done: false,
+        speakingSince: null,
+      };
+      turns.push(turn);
+      return turn;
+    },
+
+    // `sentAt` is when the /api/chat request went out
+    firstSentence(turn, sentAt) {
+      turn.firstSentenceMs ??= round(Date.now() - sentAt);
+    },
+
+    chatDone(turn, sentAt) {
+      turn.chatMs = round(Date.now() - sentAt);
+    },
+
+    speechStarted(turn) {
+      if (turn.done) return;
+      const now = Date.now();
+      turn.speechStartMs ??= round(now - turn.startedAt);
+      turn.speakingSince = now;
+    },
+
+    speechEnded,
+
+    finishTurn(turn, { interrupted = false, failed = false } = {}) {
+      if (turn.done) return;
+      speechEnded(turn);
+      Object.assign(turn, { interrupted, failed, done: true });
+      onTurnDone?.(turnReport(turn, callId));
+    },
+
+    recognitionError(error) {
+      recognitionErrors[error] = (recognitionErrors[error] ?? 0) + 1;
+    },
+
+    recognitionRestarted() {
+      recognitionRestarts++;
+    },
+
+    // The whole call: every turn plus a summary of each timing
+    report() {
+      return {
+        callId,
+        turns: turns.map(turn => turnReport(turn, callId)),
+        summary: Object.fromEntries(TIMED_FIELDS.map(field => [field, summarize(turns.map(turn => turn[field]))])),
+        recognitionErrors: { ...recognitionErrors },
+        recognitionRestarts,
+      };
+    },
+  };
+};
@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createCallMetrics, summarize } from './callMetrics';
+
+describe('summarize', () => {
+  it('skips missing values', () => {
+    expect(summarize([300, null, 100, 200, 1000])).toEqual({ count: 4, mean: 400, p50: 300, p90: 1000, max: 1000 });
+    expect(summarize([null])).toBeNull();
+  });
+});
+
+describe('createCallMetrics', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(0);
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it('times a streamed voice turn from recognition to the end of speech', () => {
+    const onTurnDone = vi.fn();
+    const metrics = createCallMetrics({ callId: 'c1', onTurnDone });
+
+    const turn = metrics.startTurn('voice', { recognitionMs: 420.4 });
+    const sentAt = Date.now();
+    vi.advanceTimersByTime(300);
+    metrics.firstSentence(turn, sentAt);
+    vi.advanceTimersByTime(50);
+    metrics.speechStarted(turn);
+    vi.advanceTimersByTime(400);
+    metrics.firstSentence(turn, sentAt);      // later sentences don't count
+    metrics.chatDone(turn, sentAt);
+    vi.advanceTimersByTime(600);
+    metrics.speechEnded(turn);
+    metrics.speechStarted(turn);
+    vi.advanceTimersByTime(1000);
+    metrics.finishTurn(turn);
+
+    expect(onTurnDone).toHaveBeenCalledWith({
+      callId: 'c1', index: 0, trigger: 'voice', startedAt: 0,
+      recognitionMs: 420, chatMs: 750, firstSentenceMs: 300, speechStartMs: 350, ttsMs: 2000,
+      interrupted: false, failed: false,
+    });
+  });
+
+  it('reports each turn once, with error and restart counts', () => {
+    const onTurnDone = vi.fn();
+    const metrics = createCallMetrics({ callId: 'c1', onTurnDone });
+
+    const greeting = metrics.startTurn('greeting');
+    metrics.speechStarted(greeting);
+    vi.advanceTimersByTime(500);
+    metrics.finishTurn(greeting, { interrupted: true });
+    metrics.finishTurn(greeting);
+    metrics.speechStarted(greeting);   // a late TTS callback
+    metrics.startTurn('text');
+    metrics.recognitionError('no-speech');
+    metrics.recognitionError('no-speech');
+    metrics.recognitionError('network');
+    metrics.recognitionRestarted();
+
+    expect(onTurnDone).toHaveBeenCalledTimes(1);
+    const report = metrics.report();
+    expect(report.turns.map(t => [t.trigger, t.ttsMs, t.interrupted])).toEqual([['greeting', 500, true], ['text', null, false]]);
+    expect(report.summary.ttsMs).toEqual({ count: 1, mean: 500, p50: 500, p90: 500, max: 500 });
+    expect(report.summary.recognitionMs).toBeNull();
+    expect(report.recognitionErrors).toEqual({ 'no-speech': 2, network: 1 });
+    expect(report.recognitionRestarts).toBe(1);
+  });
+});
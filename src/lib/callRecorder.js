@@ -0,0 +1,87 @@
+// Call recording.
+//
+// When the agent's speech is available as audio (the remote TTS engine plays it through an
+// <audio> element), the caller's microphone and the agent are mixed through Web Audio into one
+// stereo track: caller on the left channel, agent on the right. Browser speechSynthesis output
+// can't be captured, so those calls record the microphone only and the agent turns are kept as
+// timed markers next to the recording (see agentMarkers).
+
+export const RecordingLayout = {
+  STEREO:      'stereo',        // left = caller, right = agent
+  CALLER_ONLY: 'caller-only',   // microphone only, agent turns in agentMarkers
+};
+
+const CALLER_CHANNEL = 0;
+const AGENT_CHANNEL  = 1;
+
+// Builds the caller/agent mix. Returns null where Web Audio can't record a stream.
+const createMix = (micStream) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  let audioCtx = null;
+  try {
+    audioCtx = new AudioContextClass();
+    const destination = audioCtx.createMediaStreamDestination();
+    const merger = audioCtx.createChannelMerger(2);
+    audioCtx.createMediaStreamSource(micStream).connect(merger, 0, CALLER_CHANNEL);
+    merger.connect(destination);
+    // Started from the Start Call click, so the browser lets it run
+    audioCtx.resume?.()?.catch?.(() => {});
+    return { audioCtx, merger, stream: destination.stream };
+  } catch (err) {
+    console.warn('Could not mix the agent into the recording, recording the microphone only', err);
+    audioCtx?.close?.();
+    return null;
+  }
+};
+
+// Starts recording right away. `mixAgent` asks for the stereo layout; the result's `layout`
+// says what is actually being recorded.
+export const createCallRecorder = (micStream, { mixAgent = false } = {}) => {
+  const mix = mixAgent ? createMix(micStream) : null;
+  const recorder = new MediaRecorder(mix ? mix.stream : micStream);
+  const chunks = [];
+  recorder.ondataavailable = e => chunks.push(e.data);
+  recorder.start();
+
+  return {
+    layout: mix ? RecordingLayout.STEREO : RecordingLayout.CALLER_ONLY,
+
+    // Routes a TTS <audio> element into the agent channel. Web Audio takes over its output,
+    // so it is connected to the speakers as well.
+    addAgentAudio(element) {
+      if (!mix) return;
+      try {
+        const source = mix.audioCtx.createMediaElementSource(element);
+        source.connect(mix.merger, 0, AGENT_CHANNEL);
+        source.connect(mix.audioCtx.destination);
+      } catch (err) {
+        console.warn('Could not record the agent audio', err);
+      }
+    },
+
+    // Resolves with the recording Blob, or null if the recorder had already stopped
+    stop() {
+      return new Promise(resolve => {
+        if (recorder.state === 'inactive') {
+          mix?.audioCtx.close?.();
+          resolve(null);
+          return;
+        }
+        recorder.onstop = () => {
+          mix?.audioCtx.close?.();
+          resolve(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+        };
+        recorder.stop();
+      });
+    },
+  };
+};
+
+// Agent turns as `{ startMs, endMs, text }` on the recording's time base, for recordings
+// that don't contain the agent's voice
+export const agentMarkers = (lines) =>
+  lines
+    .filter(l => l.role === 'agent' && l.start != null)
+    .map(l => ({ startMs: l.start, endMs: l.end ?? null, text: l.text }));
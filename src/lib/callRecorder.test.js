@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { RecordingLayout, agentMarkers, createCallRecorder } from './callRecorder';
+import { FakeAudioContext, FakeMediaRecorder, FakeMediaStream } from '../test/fakeMedia';
+
+describe('call recorder', () => {
+  it('mixes the caller left and the agent right into one stereo recording', async () => {
+    const mic = new FakeMediaStream();
+    const recorder = createCallRecorder(mic, { mixAgent: true });
+    expect(recorder.layout).toBe(RecordingLayout.STEREO);
+
+    const [ctx] = FakeAudioContext.instances;
+    const merger = ctx.node('merger');
+    const output = ctx.node('recording');
+    expect(ctx.node('stream-source').connections).toEqual([[merger, 0, 0]]);
+    expect(merger.connections).toEqual([[output, 0, 0]]);
+    expect(FakeMediaRecorder.instances[0].stream).toBe(output.stream);
+
+    const agentAudio = document.createElement('audio');
+    recorder.addAgentAudio(agentAudio);
+    const agent = ctx.node('element-source');
+    expect(agent.element).toBe(agentAudio);
+    // Recorded on the right channel and still heard through the speakers
+    expect(agent.connections).toEqual([[merger, 0, 1], [ctx.destination, 0, 0]]);
+
+    expect(await recorder.stop()).toBeInstanceOf(Blob);
+    expect(ctx.state).toBe('closed');
+  });
+
+  it('records the microphone alone when the agent audio cannot be captured', async () => {
+    const mic = new FakeMediaStream();
+    const recorder = createCallRecorder(mic);
+    expect(recorder.layout).toBe(RecordingLayout.CALLER_ONLY);
+    expect(FakeMediaRecorder.instances[0].stream).toBe(mic);
+    expect(FakeAudioContext.instances).toHaveLength(0);
+    recorder.addAgentAudio(document.createElement('audio'));   // ignored
+    expect(await recorder.stop()).toBeInstanceOf(Blob);
+  });
+
+  it('turns agent lines into markers', () => {
+    expect(agentMarkers([
+      { role: 'agent', text: 'Hello', start: 100, end: 900 },
+      { role: 'user',  text: 'Hi',    start: 1_200, end: 1_500 },
+      { role: 'agent', text: 'Never played', start: null, end: null },
+      { role: 'agent', text: 'Bye', start: 2_000, end: null },
+    ])).toEqual([
+      { startMs: 100, endMs: 900, text: 'Hello' },
+      { startMs: 2_000, endMs: null, text: 'Bye' },
+    ]);
+  });
+});
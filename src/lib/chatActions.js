@@ -0,0 +1,21 @@
+// Structured actions returned by /api/chat next to the assistant text:
+//   { assistant: '...', actions: [{ type: 'end_call' }] }
+// Streamed replies carry them on the closing `{ done: true, actions: [...] }` event.
+
+export const END_CALL    = 'end_call';
+export const UPDATE_LEAD = 'update_lead';   // { type, fields: { loanAmount: 400000, ... } }, see lead.js
+
+// Drops anything that isn't an `{ type: string }` object
+export const parseActions = (raw) =>
+  Array.isArray(raw)
+    ? raw.filter(a => a && typeof a === 'object' && typeof a.type === 'string')
+    : [];
+
+// Legacy behaviour: hang up when the assistant text mentions ending the call.
+// Only used when LEGACY_END_CALL_KEYWORDS is enabled, it misfires on ordinary sentences.
+const END_CALL_KEYWORDS = ['goodbye', 'end call', 'hang up', 'terminate'];
+
+export const legacyEndCallActions = (text) => {
+  const lower = text.toLowerCase();
+  return END_CALL_KEYWORDS.some(k => lower.includes(k)) ? [{ type: END_CALL }] : [];
+};
@@ -0,0 +1,88 @@
+// Keeps what is posted to /api/chat within a size budget on long calls.
+//
+// The full conversation stays in the call; each request gets only the part that fits:
+//   - the most recent `recentMessages` messages, always verbatim
+//   - older messages verbatim while the payload stays under `budgetChars`
+//   - a rolling summary standing in for messages that were folded (see foldTranscript), and
+//     the pinned facts (lead fields, recording consent), in one leading system message
+// Older messages that still don't fit are dropped from the request, oldest first; `foldUpTo`
+// says how far the caller should fold the history into the summary so that stops happening.
+// Sizes are JSON characters, roughly 4 per model token.
+
+import { LEAD_FIELDS } from './lead';
+
+// Folding starts once the history reaches this share of the budget, so the summary is ready
+// before messages have to be dropped
+const FOLD_AT = 0.75;
+
+export const estimateChars = (messages) => JSON.stringify(messages).length;
+
+export const estimateTokens = (chars) => Math.ceil(chars / 4);
+
+// Lead fields and consent the agent must keep seeing, however much history is left out
+export const pinnedFacts = ({ lead, consent }) => {
+  const facts = LEAD_FIELDS
+    .filter(({ key }) => lead?.[key] != null && lead[key] !== '')
+    .map(({ key, label }) => `${label}: ${lead[key]}`);
+  if (consent) facts.push(`Recording consent: ${consent.granted ? 'given' : 'declined'}`);
+  return facts;
+};
+
+// The system message standing in for left-out history, none when there's nothing to say
+const contextMessage = (summary, facts) => {
+  const content = [
+    summary && `Summary of the earlier conversation: ${summary}`,
+    facts.length > 0 && `Facts from this call: ${facts.join('; ')}.`,
+  ].filter(Boolean).join('\n');
+  return content ? [{ role: 'system', content }] : [];
+};
+
+// `messages` is the whole conversation, of which the first `foldedCount` are covered by
+// `summary`. Returns the messages to send, the stats shown in the dev overlay and `foldUpTo`.
+export const buildChatContext = (messages, {
+  summary = '',
+  foldedCount = 0,
+  lead,
+  consent,
+  budgetChars,
+  recentMessages,
+}) => {
+  const unfolded = messages.slice(foldedCount);
+  const facts = pinnedFacts({ lead, consent });
+
+  let sent = unfolded;
+  let leading = foldedCount > 0 ? contextMessage(summary, facts) : [];
+  const size = () => estimateChars([...leading, ...sent]);
+
+  // The newest message is what the agent answers, it is never dropped
+  while (size() > budgetChars && sent.length > 1) {
+    sent = sent.slice(1);
+    leading = contextMessage(summary, facts);
+  }
+  const dropped = unfolded.length - sent.length;
+
+  const overThreshold = estimateChars(unfolded) > budgetChars * FOLD_AT;
+  const foldUpTo = overThreshold ? Math.max(foldedCount, messages.length - recentMessages) : foldedCount;
+
+  const chars = size();
+  return {
+    messages: [...leading, ...sent],
+    foldUpTo,
+    stats: {
+      totalMessages: messages.length,
+      sentMessages: sent.length,
+      foldedMessages: foldedCount,
+      droppedMessages: dropped,
+      pinnedFacts: leading.length ? facts.length : 0,
+      chars,
+      tokens: estimateTokens(chars),
+      budgetChars,
+    },
+  };
+};
+
+// Text for /api/summary when folding `messages` into the running summary
+export const foldTranscript = (summary, messages) => [
+  summary && `Summary so far: ${summary}`,
+  ...messages.map(m => `${m.role === 'user' ? 'Caller' : 'Agent'}: ${m.content}`),
+].filter(Boolean).join('\n');
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { buildChatContext, estimateChars, foldTranscript, pinnedFacts } from './chatContext';
+import { emptyLead } from './lead';
+
+// `count` alternating caller/agent messages of about `size` characters each
+const conversation = (count, size = 100) => Array.from({ length: count }, (_, i) => ({
+  role: i % 2 ? 'assistant' : 'user',
+  content: `${i} ${'x'.repeat(size)}`,
+}));
+
+const lead = { ...emptyLead(), loanPurpose: 'refinance', loanAmount: 300000 };
+const consent = { mode: 'checkbox', granted: true };
+
+describe('buildChatContext', () => {
+  it('sends a short conversation unchanged', () => {
+    const messages = conversation(4);
+    const context = buildChatContext(messages, { lead, consent, budgetChars: 5000, recentMessages: 2 });
+
+    expect(context.messages).toEqual(messages);
+    expect(context.foldUpTo).toBe(0);
+    expect(context.stats).toMatchObject({ totalMessages: 4, sentMessages: 4, droppedMessages: 0, pinnedFacts: 0 });
+  });
+
+  it('drops the oldest messages over budget but keeps the pinned facts', () => {
+    const messages = conversation(20);
+    const context = buildChatContext(messages, { lead, consent, budgetChars: 1000, recentMessages: 4 });
+
+    const [pinned, ...sent] = context.messages;
+    expect(pinned.role).toBe('system');
+    expect(pinned.content).toBe('Facts from this call: Loan purpose: refinance; Loan amount: 300000; Recording consent: given.');
+    expect(sent).toEqual(messages.slice(-sent.length));
+    expect(estimateChars(context.messages)).toBeLessThanOrEqual(1000);
+    expect(context.stats.droppedMessages).toBe(20 - sent.length);
+    expect(context.foldUpTo).toBe(16);
+  });
+
+  it('replaces folded messages with the summary', () => {
+    const messages = conversation(12);
+    const context = buildChatContext(messages, {
+      summary: 'Caller wants to refinance.', foldedCount: 8, lead, budgetChars: 5000, recentMessages: 4,
+    });
+
+    expect(context.messages[0].content).toBe(
+      'Summary of the earlier conversation: Caller wants to refinance.\nFacts from this call: Loan purpose: refinance; Loan amount: 300000.',
+    );
+    expect(context.messages.slice(1)).toEqual(messages.slice(8));
+    expect(context.stats).toMatchObject({ totalMessages: 12, sentMessages: 4, foldedMessages: 8, droppedMessages: 0 });
+    expect(context.foldUpTo).toBe(8);
+  });
+
+  it('always sends the newest message', () => {
+    const messages = conversation(3, 3000);
+    const context = buildChatContext(messages, { budgetChars: 1000, recentMessages: 2 });
+    expect(context.messages).toEqual([messages[2]]);
+    expect(context.stats.sentMessages).toBe(1);
+  });
+});
+
+describe('pinnedFacts', () => {
+  it('lists filled-in lead fields and the consent decision', () => {
+    expect(pinnedFacts({ lead: emptyLead(), consent: null })).toEqual([]);
+    expect(pinnedFacts({ lead: { ...emptyLead(), fullName: 'Ana' }, consent: { granted: false } }))
+      .toEqual(['Name: Ana', 'Recording consent: declined']);
+  });
+});
+
+describe('foldTranscript', () => {
+  it('continues the running summary', () => {
+    expect(foldTranscript('Caller is buying.', [
+      { role: 'user', content: 'Around 400k' },
+      { role: 'assistant', content: 'Got it.' },
+    ])).toBe('Summary so far: Caller is buying.\nCaller: Around 400k\nAgent: Got it.');
+  });
+});
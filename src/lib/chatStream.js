@@ -0,0 +1,103 @@
+// Streaming support for /api/chat.
+//
+// The server may answer with either Server-Sent Events (`text/event-stream`) or
+// newline-delimited JSON (`application/x-ndjson`). Every event is a JSON object:
+//   { "delta": "next piece of text" }
+//   { "done": true, ...anything else the server wants to send once }
+// SSE `data: [DONE]` markers and non-JSON payloads (treated as raw text) are accepted too.
+
+const STREAM_TYPES = ['text/event-stream', 'application/x-ndjson', 'application/jsonl'];
+
+// Abbreviations that end with a dot but don't end a sentence
+const ABBREVIATIONS = /\b(?:mr|mrs|ms|dr|st|jr|sr|vs|etc|e\.g|i\.e|approx)\.$/i;
+
+export const isStreamingResponse = (res) => {
+  const type = res.headers.get('content-type') || '';
+  return Boolean(res.body) && STREAM_TYPES.some(t => type.includes(t));
+};
+
+// Collects text deltas and emits each complete sentence as soon as it is available
+export const createSentenceSplitter = (onSentence) => {
+  let buffer = '';
+
+  const emit = (sentence) => {
+    const trimmed = sentence.replace(/\s+/g, ' ').trim();
+    if (trimmed) onSentence(trimmed);
+  };
+
+  return {
+    push(delta) {
+      buffer += delta;
+      const boundary = /[.!?]+["')\]]*\s+|\n+/g;
+      let start = 0;
+      let match;
+      while ((match = boundary.exec(buffer))) {
+        const end = match.index + match[0].length;
+        const candidate = buffer.slice(start, end);
+        if (ABBREVIATIONS.test(candidate.trim())) continue;
+        emit(candidate);
+        start = end;
+      }
+      buffer = buffer.slice(start);
+    },
+    flush() {
+      emit(buffer);
+      buffer = '';
+    },
+  };
+};
+
+const parseEvent = (payload) => {
+  if (payload === '[DONE]') return { done: true };
+  try {
+    const data = JSON.parse(payload);
+    return typeof data === 'string' ? { delta: data } : data;
+  } catch {
+    return { delta: payload };
+  }
+};
+
+// Reads a streaming chat response, calling onDelta for every text piece and onChunk for
+// every chunk received (keep-alive comments included).
+// Resolves with the full text and the final `done` event (if the server sent one).
+export const readChatStream = async (res, onDelta, { onChunk } = {}) => {
+  const isSse  = (res.headers.get('content-type') || '').includes('text/event-stream');
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+
+  let text    = '';
+  let final   = null;
+  let pending = '';
+
+  const handleLine = (line) => {
+    let payload = line.replace(/\r$/, '');
+    if (isSse) {
+      if (!payload.startsWith('data:')) return;   // ignore event:, id:, retry:, comments
+      // Only the one space after the colon is part of the syntax; a delta keeps its own spaces
+      payload = payload.slice(5).replace(/^ /, '');
+      if (!payload) return;
+    } else if (!payload.trim()) {
+      return;
+    }
+    const event = parseEvent(payload);
+    if (event.delta) {
+      text += event.delta;
+      onDelta(event.delta);
+    }
+    if (event.done) final = { ...final, ...event };
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    onChunk?.();
+    pending += decoder.decode(value, { stream: true });
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    lines.forEach(handleLine);
+  }
+  pending += decoder.decode();
+  handleLine(pending);
+
+  return { text, final };
+};
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { createSentenceSplitter, readChatStream } from './chatStream';
+
+// A streamed response delivering `chunks` as they are
+const streamed = (chunks, type) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': type } });
+};
+
+const read = async (chunks, type) => {
+  const deltas = [];
+  const result = await readChatStream(streamed(chunks, type), delta => deltas.push(delta));
+  return { deltas, ...result };
+};
+
+describe('readChatStream', () => {
+  it('keeps the spaces at the start of SSE deltas', async () => {
+    const { deltas, text, final } = await read([
+      'data: {"delta":"Hello"}\n\n',
+      'data: {"delta":" world"}\r\n\r\n',
+      'data:  again\n\n',
+      'event: done\ndata: {"done":true,"actions":[]}\n\n',
+    ], 'text/event-stream');
+
+    expect(deltas).toEqual(['Hello', ' world', ' again']);
+    expect(text).toBe('Hello world again');
+    expect(final).toEqual({ done: true, actions: [] });
+  });
+
+  it('reads newline-delimited JSON split across chunks', async () => {
+    const { text, final } = await read(['{"delta":"Hi"}\n{"del', 'ta":" there."}\n\n{"done":true}'], 'application/x-ndjson');
+
+    expect(text).toBe('Hi there.');
+    expect(final).toEqual({ done: true });
+  });
+});
+
+describe('createSentenceSplitter', () => {
+  it('emits each sentence once it is complete', () => {
+    const sentences = [];
+    const splitter = createSentenceSplitter(s => sentences.push(s));
+    ['Hello', ' world.', ' Call Dr.', ' Smith', ' today'].forEach(delta => splitter.push(delta));
+    expect(sentences).toEqual(['Hello world.']);
+
+    splitter.flush();
+    expect(sentences).toEqual(['Hello world.', 'Call Dr. Smith today']);
+  });
+});
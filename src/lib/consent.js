@@ -0,0 +1,77 @@
+// Recording consent.
+//
+// `recordingConsent` in the config picks how it is collected before anything is recorded:
+//   off       record every call, no consent step
+//   checkbox  the caller ticks a box before Start Call
+//   spoken    the agent reads a disclosure and the caller answers yes or no
+//   both      the box must be ticked, then the spoken disclosure is confirmed as well
+// Without consent the call goes on, just without a recording.
+
+export const ConsentMode = Object.freeze({
+  OFF:      'off',
+  CHECKBOX: 'checkbox',
+  SPOKEN:   'spoken',
+  BOTH:     'both',
+});
+
+export const CONSENT_MODES = Object.values(ConsentMode);
+
+export const asksCheckbox = (mode) => mode === ConsentMode.CHECKBOX || mode === ConsentMode.BOTH;
+export const asksSpoken   = (mode) => mode === ConsentMode.SPOKEN || mode === ConsentMode.BOTH;
+
+// Saved with the call and sent with the email:
+//   { mode, granted, method: 'checkbox' | 'spoken', decidedAt, answer }
+// `decidedAt` is null when the caller never answered (e.g. hung up during the disclosure).
+export const consentRecord = (mode, granted, { method, decidedAt = Date.now(), answer = null }) =>
+  ({ mode, granted, method, decidedAt, answer });
+
+// Phrases per base language. "Yes" phrases are matched first and removed, so "no problem"
+// doesn't count as a no; any "no" left over then wins over a yes ("yes... actually no").
+const ANSWERS = {
+  en: {
+    yes: ['no problem', 'that\'s fine', 'that is fine', 'go ahead', 'of course', 'i agree', 'i consent',
+      'yes', 'yeah', 'yep', 'sure', 'okay', 'ok', 'fine'],
+    no:  ['no', 'nope', 'don\'t', 'do not', 'not okay', 'rather not', 'disagree'],
+  },
+  es: {
+    yes: ['no hay problema', 'sin problema', 'de acuerdo', 'está bien', 'esta bien', 'claro', 'vale', 'sí', 'si'],
+    no:  ['no', 'prefiero que no'],
+  },
+  zh: {
+    yes: ['没问题', '不介意', '可以', '同意', '好的', '好', '行', '是'],
+    no:  ['不', '别', '拒绝'],
+  },
+  vi: {
+    yes: ['không sao', 'không vấn đề', 'đồng ý', 'được', 'vâng', 'có', 'ừ', 'ok'],
+    no:  ['không', 'đừng'],
+  },
+};
+
+// Languages written without spaces are matched anywhere in the text
+const UNSPACED = new Set(['zh']);
+
+const normalize = (text) => text.toLowerCase().replace(/[’`]/g, '\'').replace(/[^\p{L}\p{N}' ]/gu, ' ');
+
+const phrasePattern = (phrase, spaced) => {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return spaced ? new RegExp(`(?<![\\p{L}'])${escaped}(?![\\p{L}'])`, 'gu') : new RegExp(escaped, 'g');
+};
+
+// 'yes', 'no', or null when the answer is unclear
+export const parseConsentAnswer = (text, lang) => {
+  const base = (lang || 'en').split('-')[0].toLowerCase();
+  const answers = ANSWERS[base] || ANSWERS.en;
+  const spaced = !UNSPACED.has(base);
+
+  let rest = normalize(text);
+  let yes = false;
+  for (const phrase of answers.yes) {
+    const pattern = phrasePattern(phrase, spaced);
+    if (pattern.test(rest)) {
+      yes = true;
+      rest = rest.replace(pattern, ' ');
+    }
+  }
+  if (answers.no.some(phrase => phrasePattern(phrase, spaced).test(rest))) return 'no';
+  return yes ? 'yes' : null;
+};
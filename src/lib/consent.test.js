@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { parseConsentAnswer } from './consent';
+
+describe('parseConsentAnswer', () => {
+  it.each([
+    ['Yes, that\'s fine', 'en-US', 'yes'],
+    ['No problem', 'en-US', 'yes'],
+    ['Okay.', 'en-US', 'yes'],
+    ['No.', 'en-US', 'no'],
+    ['I don\'t want that', 'en-US', 'no'],
+    ['Yes... actually no', 'en-US', 'no'],
+    ['What was that?', 'en-US', null],
+    ['Sí, claro', 'es-US', 'yes'],
+    ['No, gracias', 'es-US', 'no'],
+    ['可以', 'zh-CN', 'yes'],
+    ['不可以', 'zh-CN', 'no'],
+    ['没问题', 'zh-CN', 'yes'],
+    ['Được', 'vi-VN', 'yes'],
+    ['Không sao', 'vi-VN', 'yes'],
+    ['Không', 'vi-VN', 'no'],
+  ])('%s (%s) -> %s', (text, lang, expected) => {
+    expect(parseConsentAnswer(text, lang)).toBe(expected);
+  });
+});
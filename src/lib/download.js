@@ -0,0 +1,12 @@
+// Saves generated text (transcript exports) through a temporary link. Call from a click handler.
+export const downloadText = (filename, text, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away cancels the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
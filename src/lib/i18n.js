@@ -0,0 +1,652 @@
+// UI strings for the call, history and outbox screens.
+//
+// Messages are keyed by base language ('es' covers es-US, es-MX, ...); missing keys fall back
+// to English. `{name}` placeholders are filled from the params passed to t().
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Español',
+  zh: '中文',
+  vi: 'Tiếng Việt',
+};
+
+const MESSAGES = {
+  en: {
+    'app.title':            'Mortgage Voice Agent',
+    'app.subtitle':         'Speak naturally — just like a phone call',
+    'app.language':         'Language',
+    'scenario.label':       'Call about',
+    'scenario.persona':     'You are talking to {name}',
+    'tabs.call':            'Call',
+    'tabs.history':         'History',
+    'call.start':           'Start Call',
+    'call.end':             'End Call',
+    'circle.ready':         'Ready',
+    'circle.connecting':    'Connecting',
+    'circle.listening':     'Listening',
+    'circle.thinking':      'Thinking',
+    'circle.speaking':      'Speaking',
+    'status.idle':          'Ready to start',
+    'status.connecting':    'Starting call...',
+    'status.greeting':      'Connecting to the agent...',
+    'status.listening':     'Listening...',
+    'status.thinking':      'Thinking...',
+    'status.speaking':      'Speaking...',
+    'status.ending':        'Call ended',
+    'status.reviewing':     'Check the email before it is sent',
+    'status.delivering':    'Creating summary • Sending email...',
+    'status.ended':         'Call ended',
+    'status.micDenied':     'Microphone access denied — you can keep going by typing',
+    'status.yourTurn':      'Your turn — type a message',
+    'status.startFailed':   'Failed to start conversation — {error}',
+    'status.emailSent':     'Email sent successfully',
+    'status.emailQueued':   'Could not send email — saved to the outbox, will retry automatically',
+    'status.emailFailed':   'Could not send email',
+    'status.reviewDiscarded': 'Discarded — no email was sent',
+    'review.title':         'Review before sending',
+    'review.summary':       'Summary',
+    'review.summaryLoading': 'Writing the summary...',
+    'review.summaryFailed': 'No summary yet ({error}). Write one yourself or try again.',
+    'review.regenerate':    'Regenerate summary',
+    'review.recipients':    'Recipients',
+    'review.recipientsHint': 'Comma-separated, on top of the usual recipients',
+    'review.recipientsInvalid': 'Not a valid email address: {addresses}',
+    'review.note':          'Note for the recipients',
+    'review.send':          'Send email',
+    'review.discard':       'Discard',
+    'error.timeout':        'The server is taking too long — please try again',
+    'error.network':        'Connection problem — check your internet connection',
+    'error.busy':           'The service is busy — please try again in a moment',
+    'error.server':         'The server had a problem — please try again',
+    'error.rejected':       'Request was rejected ({status})',
+    'error.unknown':        'Something went wrong — please try again',
+    'transcript.label':     'Call transcript',
+    'transcript.empty':     'The conversation will appear here',
+    'transcript.you':       'You',
+    'transcript.agent':     'Agent',
+    'transcript.interrupted': 'interrupted',
+    'transcript.redacted':  'Redacted: {label}',
+    'transcript.typed':     'typed',
+    'input.mode':           'Talk by',
+    'input.voice':          'Voice',
+    'input.text':           'Text',
+    'input.placeholder':    'Type a message…',
+    'input.send':           'Send',
+    'input.speakReplies':   'Read replies aloud',
+    'transcript.note':      'Note',
+    'silence.prompt':       'Are you still there?',
+    'silence.goodbye':      'It seems you have stepped away, so I will end the call now. Feel free to call back anytime. Goodbye!',
+    'note.silence':         'No response for {seconds} seconds',
+    'note.silenceEnded':    'Call ended after {prompts} unanswered prompts',
+    'note.maxDuration':     'Call ended at the {minutes}-minute limit',
+    'call.timeLeft':        'Time left {time}',
+    'recording.download':   'Download this call recording',
+    'recording.player':     'Call recording',
+    'export.vtt':           'Transcript (WebVTT)',
+    'export.srt':           'Transcript (SRT)',
+    'export.json':          'Transcript (JSON)',
+    'player.seek':          'Play from {time}',
+    'consent.checkbox':     'I agree to this call being recorded',
+    'consent.disclosure':   'Before we begin: this call is recorded for quality and compliance purposes. Is that okay with you? Please say yes or no.',
+    'consent.repeat':       'Sorry, I didn\'t catch that. May we record this call? Please say yes or no.',
+    'consent.recording':    'Recording',
+    'consent.notRecording': 'Not recording',
+    'lead.title':           'Your details',
+    'lead.hint':            "Filled in as you talk — correct anything that's wrong.",
+    'lead.required':        'Needed for this call',
+    'lead.loanPurpose':     'Loan purpose',
+    'lead.loanAmount':      'Loan amount',
+    'lead.propertyValue':   'Property value',
+    'lead.downPayment':     'Down payment',
+    'lead.annualIncome':    'Annual income',
+    'lead.employment':      'Employment',
+    'lead.creditRange':     'Credit',
+    'lead.fullName':        'Name',
+    'lead.email':           'Email',
+    'lead.phone':           'Phone',
+    'lead.loanPurpose.purchase': 'Purchase',
+    'lead.loanPurpose.refinance': 'Refinance',
+    'lead.loanPurpose.cash-out refinance': 'Cash-out refinance',
+    'lead.loanPurpose.home equity': 'Home equity',
+    'lead.loanPurpose.other': 'Other',
+    'lead.employment.employed': 'Employed',
+    'lead.employment.self-employed': 'Self-employed',
+    'lead.employment.retired': 'Retired',
+    'lead.employment.unemployed': 'Unemployed',
+    'lead.employment.other': 'Other',
+    'lead.creditRange.excellent (740+)': 'Excellent (740+)',
+    'lead.creditRange.good (680-739)': 'Good (680-739)',
+    'lead.creditRange.fair (620-679)': 'Fair (620-679)',
+    'lead.creditRange.poor (below 620)': 'Poor (below 620)',
+    'voice.title':          'Voice settings',
+    'voice.voice':          'Voice',
+    'voice.automatic':      'Automatic',
+    'voice.rate':           'Speed',
+    'voice.pitch':          'Pitch',
+    'voice.volume':         'Volume',
+    'voice.preview':        'Preview',
+    'voice.reset':          'Reset',
+    'voice.sample':         'Hello! This is how I will sound during your call.',
+    'mic.title':            'Microphone',
+    'mic.device':           'Input',
+    'mic.default':          'System default',
+    'mic.unnamed':          'Microphone {n}',
+    'mic.unplugged':        'Saved microphone (not connected)',
+    'mic.changeAfterCall':  'The input can be changed after the call.',
+    'mic.echoCancellation': 'Echo cancellation',
+    'mic.noiseSuppression': 'Noise suppression',
+    'mic.autoGainControl':  'Automatic volume',
+    'mic.level':            'Level',
+    'history.search':       'Search transcripts, summaries, names…',
+    'history.loading':      'Loading call history…',
+    'history.unavailable':  'Call history is not available in this browser',
+    'history.empty':        'No calls yet',
+    'history.noMatches':    'No calls match your search',
+    'history.noRecording':  'No recording saved',
+    'history.summary':      'Summary',
+    'history.noSummary':    'No summary',
+    'history.lead':         'Lead',
+    'history.transcript':   'Transcript',
+    'history.showUnredacted': 'Show unredacted transcript',
+    'history.delete':       'Delete this call',
+    'history.deleteConfirm': 'Delete this call and its recording?',
+    'history.deleteFailed': 'Could not delete the call',
+    'history.status.review': 'Awaiting review',
+    'history.status.discarded': 'Discarded',
+    'history.status.sending': 'Sending…',
+    'history.status.sent':  'Email sent',
+    'history.status.queued': 'In outbox',
+    'history.status.failed': 'Email failed',
+    'outbox.title':         'Unsent call summaries',
+    'outbox.pending':       'Waiting to retry',
+    'outbox.retrying':      'Retrying…',
+    'outbox.failed':        'Failed',
+    'outbox.nextTry':       'next try {time}',
+    'outbox.retry':         'Retry now',
+    'outbox.discard':       'Discard',
+    'outbox.discardConfirm': 'Discard this delivery? The summary email will not be sent.',
+  },
+
+  es: {
+    'app.title':            'Asistente de voz hipotecario',
+    'app.subtitle':         'Hable con naturalidad, como en una llamada telefónica',
+    'app.language':         'Idioma',
+    'scenario.label':       'Motivo de la llamada',
+    'scenario.persona':     'Está hablando con {name}',
+    'tabs.call':            'Llamada',
+    'tabs.history':         'Historial',
+    'call.start':           'Iniciar llamada',
+    'call.end':             'Terminar llamada',
+    'circle.ready':         'Listo',
+    'circle.connecting':    'Conectando',
+    'circle.listening':     'Escuchando',
+    'circle.thinking':      'Pensando',
+    'circle.speaking':      'Hablando',
+    'status.idle':          'Listo para empezar',
+    'status.connecting':    'Iniciando llamada...',
+    'status.greeting':      'Conectando con el asistente...',
+    'status.listening':     'Escuchando...',
+    'status.thinking':      'Pensando...',
+    'status.speaking':      'Hablando...',
+    'status.ending':        'Llamada terminada',
+    'status.reviewing':     'Revise el correo antes de enviarlo',
+    'status.delivering':    'Creando resumen • Enviando correo...',
+    'status.ended':         'Llamada terminada',
+    'status.micDenied':     'Acceso al micrófono denegado — puede seguir escribiendo',
+    'status.yourTurn':      'Su turno — escriba un mensaje',
+    'status.startFailed':   'No se pudo iniciar la conversación — {error}',
+    'status.emailSent':     'Correo enviado correctamente',
+    'status.emailQueued':   'No se pudo enviar el correo — se guardó en la bandeja de salida y se reintentará',
+    'status.emailFailed':   'No se pudo enviar el correo',
+    'status.reviewDiscarded': 'Descartado — no se envió ningún correo',
+    'review.title':         'Revisar antes de enviar',
+    'review.summary':       'Resumen',
+    'review.summaryLoading': 'Redactando el resumen...',
+    'review.summaryFailed': 'Todavía no hay resumen ({error}). Escríbalo usted o vuelva a intentarlo.',
+    'review.regenerate':    'Generar otro resumen',
+    'review.recipients':    'Destinatarios',
+    'review.recipientsHint': 'Separados por comas, además de los destinatarios habituales',
+    'review.recipientsInvalid': 'Dirección de correo no válida: {addresses}',
+    'review.note':          'Nota para los destinatarios',
+    'review.send':          'Enviar correo',
+    'review.discard':       'Descartar',
+    'error.timeout':        'El servidor está tardando demasiado — inténtelo de nuevo',
+    'error.network':        'Problema de conexión — revise su conexión a internet',
+    'error.busy':           'El servicio está ocupado — inténtelo de nuevo en un momento',
+    'error.server':         'El servidor tuvo un problema — inténtelo de nuevo',
+    'error.rejected':       'La solicitud fue rechazada ({status})',
+    'error.unknown':        'Algo salió mal — inténtelo de nuevo',
+    'transcript.label':     'Transcripción de la llamada',
+    'transcript.empty':     'La conversación aparecerá aquí',
+    'transcript.you':       'Usted',
+    'transcript.agent':     'Asistente',
+    'transcript.interrupted': 'interrumpido',
+    'transcript.redacted':  'Oculto: {label}',
+    'transcript.typed':     'escrito',
+    'input.mode':           'Hablar por',
+    'input.voice':          'Voz',
+    'input.text':           'Texto',
+    'input.placeholder':    'Escriba un mensaje…',
+    'input.send':           'Enviar',
+    'input.speakReplies':   'Leer las respuestas en voz alta',
+    'transcript.note':      'Nota',
+    'silence.prompt':       '¿Sigue ahí?',
+    'silence.goodbye':      'Parece que se ha ausentado, así que terminaré la llamada. Puede volver a llamar cuando quiera. ¡Adiós!',
+    'note.silence':         'Sin respuesta durante {seconds} segundos',
+    'note.silenceEnded':    'Llamada terminada tras {prompts} avisos sin respuesta',
+    'note.maxDuration':     'Llamada terminada al llegar al límite de {minutes} minutos',
+    'call.timeLeft':        'Tiempo restante {time}',
+    'recording.download':   'Descargar la grabación de la llamada',
+    'recording.player':     'Grabación de la llamada',
+    'export.vtt':           'Transcripción (WebVTT)',
+    'export.srt':           'Transcripción (SRT)',
+    'export.json':          'Transcripción (JSON)',
+    'player.seek':          'Reproducir desde {time}',
+    'consent.checkbox':     'Acepto que esta llamada se grabe',
+    'consent.disclosure':   'Antes de empezar: esta llamada se graba con fines de calidad y cumplimiento. ¿Está de acuerdo? Por favor, diga sí o no.',
+    'consent.repeat':       'Perdone, no le entendí. ¿Podemos grabar esta llamada? Por favor, diga sí o no.',
+    'consent.recording':    'Grabando',
+    'consent.notRecording': 'Sin grabación',
+    'lead.title':           'Sus datos',
+    'lead.hint':            'Se completan mientras habla — corrija lo que no sea correcto.',
+    'lead.required':        'Necesario para esta llamada',
+    'lead.loanPurpose':     'Propósito del préstamo',
+    'lead.loanAmount':      'Monto del préstamo',
+    'lead.propertyValue':   'Valor de la propiedad',
+    'lead.downPayment':     'Pago inicial',
+    'lead.annualIncome':    'Ingreso anual',
+    'lead.employment':      'Empleo',
+    'lead.creditRange':     'Crédito',
+    'lead.fullName':        'Nombre',
+    'lead.email':           'Correo electrónico',
+    'lead.phone':           'Teléfono',
+    'lead.loanPurpose.purchase': 'Compra',
+    'lead.loanPurpose.refinance': 'Refinanciación',
+    'lead.loanPurpose.cash-out refinance': 'Refinanciación con retiro de efectivo',
+    'lead.loanPurpose.home equity': 'Préstamo sobre el valor de la vivienda',
+    'lead.loanPurpose.other': 'Otro',
+    'lead.employment.employed': 'Empleado',
+    'lead.employment.self-employed': 'Autónomo',
+    'lead.employment.retired': 'Jubilado',
+    'lead.employment.unemployed': 'Desempleado',
+    'lead.employment.other': 'Otro',
+    'lead.creditRange.excellent (740+)': 'Excelente (740+)',
+    'lead.creditRange.good (680-739)': 'Bueno (680-739)',
+    'lead.creditRange.fair (620-679)': 'Regular (620-679)',
+    'lead.creditRange.poor (below 620)': 'Bajo (menos de 620)',
+    'voice.title':          'Ajustes de voz',
+    'voice.voice':          'Voz',
+    'voice.automatic':      'Automática',
+    'voice.rate':           'Velocidad',
+    'voice.pitch':          'Tono',
+    'voice.volume':         'Volumen',
+    'voice.preview':        'Escuchar',
+    'voice.reset':          'Restablecer',
+    'voice.sample':         '¡Hola! Así sonaré durante su llamada.',
+    'mic.title':            'Micrófono',
+    'mic.device':           'Entrada',
+    'mic.default':          'Predeterminado del sistema',
+    'mic.unnamed':          'Micrófono {n}',
+    'mic.unplugged':        'Micrófono guardado (no conectado)',
+    'mic.changeAfterCall':  'La entrada se puede cambiar después de la llamada.',
+    'mic.echoCancellation': 'Cancelación de eco',
+    'mic.noiseSuppression': 'Supresión de ruido',
+    'mic.autoGainControl':  'Volumen automático',
+    'mic.level':            'Nivel',
+    'history.search':       'Buscar en transcripciones, resúmenes, nombres…',
+    'history.loading':      'Cargando el historial…',
+    'history.unavailable':  'El historial de llamadas no está disponible en este navegador',
+    'history.empty':        'Todavía no hay llamadas',
+    'history.noMatches':    'Ninguna llamada coincide con la búsqueda',
+    'history.noRecording':  'No se guardó ninguna grabación',
+    'history.summary':      'Resumen',
+    'history.noSummary':    'Sin resumen',
+    'history.lead':         'Datos del cliente',
+    'history.transcript':   'Transcripción',
+    'history.showUnredacted': 'Mostrar la transcripción sin ocultar',
+    'history.delete':       'Eliminar esta llamada',
+    'history.deleteConfirm': '¿Eliminar esta llamada y su grabación?',
+    'history.deleteFailed': 'No se pudo eliminar la llamada',
+    'history.status.review': 'Pendiente de revisión',
+    'history.status.discarded': 'Descartado',
+    'history.status.sending': 'Enviando…',
+    'history.status.sent':  'Correo enviado',
+    'history.status.queued': 'En la bandeja de salida',
+    'history.status.failed': 'Error al enviar el correo',
+    'outbox.title':         'Resúmenes de llamadas sin enviar',
+    'outbox.pending':       'Esperando para reintentar',
+    'outbox.retrying':      'Reintentando…',
+    'outbox.failed':        'Fallido',
+    'outbox.nextTry':       'próximo intento {time}',
+    'outbox.retry':         'Reintentar ahora',
+    'outbox.discard':       'Descartar',
+    'outbox.discardConfirm': '¿Descartar este envío? El correo con el resumen no se enviará.',
+  },
+
+  zh: {
+    'app.title':            '房贷语音助手',
+    'app.subtitle':         '像打电话一样自然地说话',
+    'app.language':         '语言',
+    'scenario.label':       '来电事由',
+    'scenario.persona':     '为您服务的是 {name}',
+    'tabs.call':            '通话',
+    'tabs.history':         '历史记录',
+    'call.start':           '开始通话',
+    'call.end':             '结束通话',
+    'circle.ready':         '就绪',
+    'circle.connecting':    '连接中',
+    'circle.listening':     '正在听',
+    'circle.thinking':      '思考中',
+    'circle.speaking':      '正在说',
+    'status.idle':          '准备开始',
+    'status.connecting':    '正在开始通话...',
+    'status.greeting':      '正在连接助手...',
+    'status.listening':     '正在听...',
+    'status.thinking':      '思考中...',
+    'status.speaking':      '正在说...',
+    'status.ending':        '通话已结束',
+    'status.reviewing':     '发送前请检查邮件',
+    'status.delivering':    '正在生成摘要 • 正在发送邮件...',
+    'status.ended':         '通话已结束',
+    'status.micDenied':     '麦克风权限被拒绝 — 您可以继续打字交流',
+    'status.yourTurn':      '轮到您了 — 请输入消息',
+    'status.startFailed':   '无法开始对话 — {error}',
+    'status.emailSent':     '邮件发送成功',
+    'status.emailQueued':   '邮件发送失败 — 已保存到发件箱，将自动重试',
+    'status.emailFailed':   '邮件发送失败',
+    'status.reviewDiscarded': '已放弃 — 未发送邮件',
+    'review.title':         '发送前检查',
+    'review.summary':       '摘要',
+    'review.summaryLoading': '正在生成摘要...',
+    'review.summaryFailed': '尚未生成摘要（{error}）。您可以自己填写或重试。',
+    'review.regenerate':    '重新生成摘要',
+    'review.recipients':    '收件人',
+    'review.recipientsHint': '用逗号分隔，另加常规收件人',
+    'review.recipientsInvalid': '无效的邮箱地址：{addresses}',
+    'review.note':          '给收件人的备注',
+    'review.send':          '发送邮件',
+    'review.discard':       '放弃',
+    'error.timeout':        '服务器响应时间过长 — 请重试',
+    'error.network':        '连接问题 — 请检查网络连接',
+    'error.busy':           '服务繁忙 — 请稍后再试',
+    'error.server':         '服务器出现问题 — 请重试',
+    'error.rejected':       '请求被拒绝（{status}）',
+    'error.unknown':        '出现错误 — 请重试',
+    'transcript.label':     '通话记录',
+    'transcript.empty':     '对话内容将显示在这里',
+    'transcript.you':       '您',
+    'transcript.agent':     '助手',
+    'transcript.interrupted': '已打断',
+    'transcript.redacted':  '已隐去：{label}',
+    'transcript.typed':     '文字输入',
+    'input.mode':           '交流方式',
+    'input.voice':          '语音',
+    'input.text':           '文字',
+    'input.placeholder':    '输入消息…',
+    'input.send':           '发送',
+    'input.speakReplies':   '朗读回复',
+    'transcript.note':      '备注',
+    'silence.prompt':       '您还在吗？',
+    'silence.goodbye':      '您似乎已经离开，我现在将结束通话。欢迎随时再次来电。再见！',
+    'note.silence':         '{seconds} 秒内无应答',
+    'note.silenceEnded':    '{prompts} 次提示无应答后通话结束',
+    'note.maxDuration':     '通话达到 {minutes} 分钟上限后结束',
+    'call.timeLeft':        '剩余时间 {time}',
+    'recording.download':   '下载通话录音',
+    'recording.player':     '通话录音',
+    'export.vtt':           '通话记录 (WebVTT)',
+    'export.srt':           '通话记录 (SRT)',
+    'export.json':          '通话记录 (JSON)',
+    'player.seek':          '从 {time} 开始播放',
+    'consent.checkbox':     '我同意对本次通话进行录音',
+    'consent.disclosure':   '开始之前：为保证服务质量和合规，本次通话将被录音。您同意吗？请回答可以或不可以。',
+    'consent.repeat':       '抱歉，我没有听清。我们可以对本次通话录音吗？请回答可以或不可以。',
+    'consent.recording':    '正在录音',
+    'consent.notRecording': '未录音',
+    'lead.title':           '您的信息',
+    'lead.hint':            '通话过程中自动填写 — 如有错误请更正。',
+    'lead.required':        '本次通话必填',
+    'lead.loanPurpose':     '贷款用途',
+    'lead.loanAmount':      '贷款金额',
+    'lead.propertyValue':   '房产价值',
+    'lead.downPayment':     '首付',
+    'lead.annualIncome':    '年收入',
+    'lead.employment':      '就业情况',
+    'lead.creditRange':     '信用',
+    'lead.fullName':        '姓名',
+    'lead.email':           '电子邮件',
+    'lead.phone':           '电话',
+    'lead.loanPurpose.purchase': '购房',
+    'lead.loanPurpose.refinance': '再融资',
+    'lead.loanPurpose.cash-out refinance': '套现再融资',
+    'lead.loanPurpose.home equity': '房屋净值贷款',
+    'lead.loanPurpose.other': '其他',
+    'lead.employment.employed': '受雇',
+    'lead.employment.self-employed': '自雇',
+    'lead.employment.retired': '退休',
+    'lead.employment.unemployed': '待业',
+    'lead.employment.other': '其他',
+    'lead.creditRange.excellent (740+)': '优秀（740+）',
+    'lead.creditRange.good (680-739)': '良好（680-739）',
+    'lead.creditRange.fair (620-679)': '一般（620-679）',
+    'lead.creditRange.poor (below 620)': '较差（低于 620）',
+    'voice.title':          '语音设置',
+    'voice.voice':          '声音',
+    'voice.automatic':      '自动',
+    'voice.rate':           '语速',
+    'voice.pitch':          '音调',
+    'voice.volume':         '音量',
+    'voice.preview':        '试听',
+    'voice.reset':          '重置',
+    'voice.sample':         '您好！通话时我的声音就是这样的。',
+    'mic.title':            '麦克风',
+    'mic.device':           '输入设备',
+    'mic.default':          '系统默认',
+    'mic.unnamed':          '麦克风 {n}',
+    'mic.unplugged':        '已保存的麦克风（未连接）',
+    'mic.changeAfterCall':  '通话结束后可以更换输入设备。',
+    'mic.echoCancellation': '回声消除',
+    'mic.noiseSuppression': '降噪',
+    'mic.autoGainControl':  '自动音量',
+    'mic.level':            '音量',
+    'history.search':       '搜索通话记录、摘要、姓名…',
+    'history.loading':      '正在加载通话历史…',
+    'history.unavailable':  '此浏览器无法使用通话历史',
+    'history.empty':        '暂无通话',
+    'history.noMatches':    '没有符合搜索条件的通话',
+    'history.noRecording':  '未保存录音',
+    'history.summary':      '摘要',
+    'history.noSummary':    '无摘要',
+    'history.lead':         '客户信息',
+    'history.transcript':   '通话记录',
+    'history.showUnredacted': '显示未隐藏的通话记录',
+    'history.delete':       '删除此通话',
+    'history.deleteConfirm': '删除此通话及其录音？',
+    'history.deleteFailed': '无法删除该通话',
+    'history.status.review': '等待审核',
+    'history.status.discarded': '已放弃',
+    'history.status.sending': '正在发送…',
+    'history.status.sent':  '邮件已发送',
+    'history.status.queued': '在发件箱中',
+    'history.status.failed': '邮件发送失败',
+    'outbox.title':         '未发送的通话摘要',
+    'outbox.pending':       '等待重试',
+    'outbox.retrying':      '正在重试…',
+    'outbox.failed':        '失败',
+    'outbox.nextTry':       '下次尝试 {time}',
+    'outbox.retry':         '立即重试',
+    'outbox.discard':       '放弃',
+    'outbox.discardConfirm': '放弃此次发送？摘要邮件将不会发出。',
+  },
+
+  vi: {
+    'app.title':            'Trợ lý giọng nói vay thế chấp',
+    'app.subtitle':         'Nói chuyện tự nhiên — như một cuộc gọi điện thoại',
+    'app.language':         'Ngôn ngữ',
+    'scenario.label':       'Gọi về việc',
+    'scenario.persona':     'Bạn đang nói chuyện với {name}',
+    'tabs.call':            'Cuộc gọi',
+    'tabs.history':         'Lịch sử',
+    'call.start':           'Bắt đầu gọi',
+    'call.end':             'Kết thúc',
+    'circle.ready':         'Sẵn sàng',
+    'circle.connecting':    'Đang kết nối',
+    'circle.listening':     'Đang nghe',
+    'circle.thinking':      'Đang suy nghĩ',
+    'circle.speaking':      'Đang nói',
+    'status.idle':          'Sẵn sàng bắt đầu',
+    'status.connecting':    'Đang bắt đầu cuộc gọi...',
+    'status.greeting':      'Đang kết nối với trợ lý...',
+    'status.listening':     'Đang nghe...',
+    'status.thinking':      'Đang suy nghĩ...',
+    'status.speaking':      'Đang nói...',
+    'status.ending':        'Cuộc gọi đã kết thúc',
+    'status.reviewing':     'Kiểm tra email trước khi gửi',
+    'status.delivering':    'Đang tạo tóm tắt • Đang gửi email...',
+    'status.ended':         'Cuộc gọi đã kết thúc',
+    'status.micDenied':     'Quyền truy cập micrô bị từ chối — bạn có thể tiếp tục bằng cách nhập',
+    'status.yourTurn':      'Đến lượt bạn — hãy nhập tin nhắn',
+    'status.startFailed':   'Không thể bắt đầu cuộc trò chuyện — {error}',
+    'status.emailSent':     'Đã gửi email thành công',
+    'status.emailQueued':   'Không gửi được email — đã lưu vào hộp thư đi, sẽ tự động thử lại',
+    'status.emailFailed':   'Không gửi được email',
+    'status.reviewDiscarded': 'Đã hủy — không có email nào được gửi',
+    'review.title':         'Xem lại trước khi gửi',
+    'review.summary':       'Tóm tắt',
+    'review.summaryLoading': 'Đang viết tóm tắt...',
+    'review.summaryFailed': 'Chưa có tóm tắt ({error}). Bạn có thể tự viết hoặc thử lại.',
+    'review.regenerate':    'Tạo lại tóm tắt',
+    'review.recipients':    'Người nhận',
+    'review.recipientsHint': 'Cách nhau bằng dấu phẩy, ngoài những người nhận thông thường',
+    'review.recipientsInvalid': 'Địa chỉ email không hợp lệ: {addresses}',
+    'review.note':          'Ghi chú cho người nhận',
+    'review.send':          'Gửi email',
+    'review.discard':       'Hủy bỏ',
+    'error.timeout':        'Máy chủ phản hồi quá lâu — vui lòng thử lại',
+    'error.network':        'Sự cố kết nối — vui lòng kiểm tra kết nối internet',
+    'error.busy':           'Dịch vụ đang bận — vui lòng thử lại sau',
+    'error.server':         'Máy chủ gặp sự cố — vui lòng thử lại',
+    'error.rejected':       'Yêu cầu bị từ chối ({status})',
+    'error.unknown':        'Đã xảy ra lỗi — vui lòng thử lại',
+    'transcript.label':     'Nội dung cuộc gọi',
+    'transcript.empty':     'Cuộc trò chuyện sẽ hiển thị ở đây',
+    'transcript.you':       'Bạn',
+    'transcript.agent':     'Trợ lý',
+    'transcript.interrupted': 'bị ngắt lời',
+    'transcript.redacted':  'Đã ẩn: {label}',
+    'transcript.typed':     'đã nhập',
+    'input.mode':           'Trò chuyện bằng',
+    'input.voice':          'Giọng nói',
+    'input.text':           'Văn bản',
+    'input.placeholder':    'Nhập tin nhắn…',
+    'input.send':           'Gửi',
+    'input.speakReplies':   'Đọc to câu trả lời',
+    'transcript.note':      'Ghi chú',
+    'silence.prompt':       'Bạn còn ở đó không?',
+    'silence.goodbye':      'Có vẻ bạn đã rời đi, nên tôi sẽ kết thúc cuộc gọi. Bạn có thể gọi lại bất cứ lúc nào. Tạm biệt!',
+    'note.silence':         'Không có phản hồi trong {seconds} giây',
+    'note.silenceEnded':    'Cuộc gọi kết thúc sau {prompts} lần nhắc không có phản hồi',
+    'note.maxDuration':     'Cuộc gọi kết thúc khi đạt giới hạn {minutes} phút',
+    'call.timeLeft':        'Thời gian còn lại {time}',
+    'recording.download':   'Tải xuống bản ghi âm cuộc gọi',
+    'recording.player':     'Bản ghi âm cuộc gọi',
+    'export.vtt':           'Nội dung (WebVTT)',
+    'export.srt':           'Nội dung (SRT)',
+    'export.json':          'Nội dung (JSON)',
+    'player.seek':          'Phát từ {time}',
+    'consent.checkbox':     'Tôi đồng ý cho ghi âm cuộc gọi này',
+    'consent.disclosure':   'Trước khi bắt đầu: cuộc gọi này được ghi âm để đảm bảo chất lượng và tuân thủ quy định. Bạn có đồng ý không? Vui lòng nói có hoặc không.',
+    'consent.repeat':       'Xin lỗi, tôi chưa nghe rõ. Chúng tôi có thể ghi âm cuộc gọi này không? Vui lòng nói có hoặc không.',
+    'consent.recording':    'Đang ghi âm',
+    'consent.notRecording': 'Không ghi âm',
+    'lead.title':           'Thông tin của bạn',
+    'lead.hint':            'Được điền trong khi bạn nói — hãy sửa nếu có gì sai.',
+    'lead.required':        'Cần cho cuộc gọi này',
+    'lead.loanPurpose':     'Mục đích vay',
+    'lead.loanAmount':      'Số tiền vay',
+    'lead.propertyValue':   'Giá trị bất động sản',
+    'lead.downPayment':     'Tiền trả trước',
+    'lead.annualIncome':    'Thu nhập hằng năm',
+    'lead.employment':      'Việc làm',
+    'lead.creditRange':     'Tín dụng',
+    'lead.fullName':        'Họ tên',
+    'lead.email':           'Email',
+    'lead.phone':           'Điện thoại',
+    'lead.loanPurpose.purchase': 'Mua nhà',
+    'lead.loanPurpose.refinance': 'Tái cấp vốn',
+    'lead.loanPurpose.cash-out refinance': 'Tái cấp vốn rút tiền mặt',
+    'lead.loanPurpose.home equity': 'Vay theo giá trị nhà',
+    'lead.loanPurpose.other': 'Khác',
+    'lead.employment.employed': 'Có việc làm',
+    'lead.employment.self-employed': 'Tự kinh doanh',
+    'lead.employment.retired': 'Đã nghỉ hưu',
+    'lead.employment.unemployed': 'Thất nghiệp',
+    'lead.employment.other': 'Khác',
+    'lead.creditRange.excellent (740+)': 'Xuất sắc (740+)',
+    'lead.creditRange.good (680-739)': 'Tốt (680-739)',
+    'lead.creditRange.fair (620-679)': 'Trung bình (620-679)',
+    'lead.creditRange.poor (below 620)': 'Kém (dưới 620)',
+    'voice.title':          'Cài đặt giọng nói',
+    'voice.voice':          'Giọng',
+    'voice.automatic':      'Tự động',
+    'voice.rate':           'Tốc độ',
+    'voice.pitch':          'Cao độ',
+    'voice.volume':         'Âm lượng',
+    'voice.preview':        'Nghe thử',
+    'voice.reset':          'Đặt lại',
+    'voice.sample':         'Xin chào! Đây là giọng của tôi trong cuộc gọi.',
+    'mic.title':            'Micrô',
+    'mic.device':           'Đầu vào',
+    'mic.default':          'Mặc định của hệ thống',
+    'mic.unnamed':          'Micrô {n}',
+    'mic.unplugged':        'Micrô đã lưu (chưa kết nối)',
+    'mic.changeAfterCall':  'Có thể đổi đầu vào sau cuộc gọi.',
+    'mic.echoCancellation': 'Khử tiếng vọng',
+    'mic.noiseSuppression': 'Giảm tiếng ồn',
+    'mic.autoGainControl':  'Tự động điều chỉnh âm lượng',
+    'mic.level':            'Mức âm',
+    'history.search':       'Tìm trong nội dung, tóm tắt, tên…',
+    'history.loading':      'Đang tải lịch sử cuộc gọi…',
+    'history.unavailable':  'Trình duyệt này không hỗ trợ lịch sử cuộc gọi',
+    'history.empty':        'Chưa có cuộc gọi nào',
+    'history.noMatches':    'Không có cuộc gọi nào khớp với tìm kiếm',
+    'history.noRecording':  'Không lưu bản ghi âm',
+    'history.summary':      'Tóm tắt',
+    'history.noSummary':    'Không có tóm tắt',
+    'history.lead':         'Thông tin khách hàng',
+    'history.transcript':   'Nội dung',
+    'history.showUnredacted': 'Hiện nội dung chưa che',
+    'history.delete':       'Xóa cuộc gọi này',
+    'history.deleteConfirm': 'Xóa cuộc gọi này và bản ghi âm?',
+    'history.deleteFailed': 'Không thể xóa cuộc gọi',
+    'history.status.review': 'Đang chờ duyệt',
+    'history.status.discarded': 'Đã hủy',
+    'history.status.sending': 'Đang gửi…',
+    'history.status.sent':  'Đã gửi email',
+    'history.status.queued': 'Trong hộp thư đi',
+    'history.status.failed': 'Gửi email thất bại',
+    'outbox.title':         'Tóm tắt cuộc gọi chưa gửi',
+    'outbox.pending':       'Đang chờ thử lại',
+    'outbox.retrying':      'Đang thử lại…',
+    'outbox.failed':        'Thất bại',
+    'outbox.nextTry':       'lần thử tiếp theo {time}',
+    'outbox.retry':         'Thử lại ngay',
+    'outbox.discard':       'Hủy',
+    'outbox.discardConfirm': 'Hủy lần gửi này? Email tóm tắt sẽ không được gửi.',
+  },
+};
+
+// 'es-US' -> 'es'
+export const baseLanguage = (lang) => String(lang).split(/[-_]/)[0].toLowerCase();
+
+// Display name for a language tag, e.g. 'Español' for es-US
+export const languageName = (lang) => LANGUAGE_NAMES[baseLanguage(lang)] || lang;
+
+// Returns t(key, params) for `lang`
+export const translator = (lang) => {
+  const messages = MESSAGES[baseLanguage(lang)] || MESSAGES.en;
+  return (key, params = {}) => {
+    const template = messages[key] ?? MESSAGES.en[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+};
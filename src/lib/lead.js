@@ -0,0 +1,67 @@
+// Structured mortgage lead, filled in during the call.
+//
+// The agent reports what it learned through an `update_lead` chat action:
+//   { type: 'update_lead', fields: { loanPurpose: 'purchase', loanAmount: 400000 } }
+// Fields the caller corrected in the lead panel are never overwritten by the agent.
+
+export const LOAN_PURPOSES = ['purchase', 'refinance', 'cash-out refinance', 'home equity', 'other'];
+export const EMPLOYMENT_TYPES = ['employed', 'self-employed', 'retired', 'unemployed', 'other'];
+export const CREDIT_RANGES = ['excellent (740+)', 'good (680-739)', 'fair (620-679)', 'poor (below 620)'];
+
+export const LEAD_FIELDS = [
+  { key: 'loanPurpose',   label: 'Loan purpose',   type: 'select', options: LOAN_PURPOSES },
+  { key: 'loanAmount',    label: 'Loan amount',    type: 'money' },
+  { key: 'propertyValue', label: 'Property value', type: 'money' },
+  { key: 'downPayment',   label: 'Down payment',   type: 'money' },
+  { key: 'annualIncome',  label: 'Annual income',  type: 'money' },
+  { key: 'employment',    label: 'Employment',     type: 'select', options: EMPLOYMENT_TYPES },
+  { key: 'creditRange',   label: 'Credit',         type: 'select', options: CREDIT_RANGES },
+  { key: 'fullName',      label: 'Name',           type: 'text' },
+  { key: 'email',         label: 'Email',          type: 'email' },
+  { key: 'phone',         label: 'Phone',          type: 'tel' },
+];
+
+const FIELDS_BY_KEY = Object.fromEntries(LEAD_FIELDS.map(f => [f.key, f]));
+
+export const emptyLead = () => Object.fromEntries(LEAD_FIELDS.map(f => [f.key, null]));
+
+export const isLeadEmpty = (lead) => Object.values(lead).every(v => v === null || v === '');
+
+// Shown text for a lead value; select options are translated (keys like 'lead.employment.retired')
+export const leadValueLabel = (field, value, t) =>
+  field.type === 'select' ? t(`lead.${field.key}.${value}`) : String(value);
+
+// "$400,000" / "400k" / 400000 -> 400000
+const parseMoney = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value).toLowerCase().replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)(k|m)?$/);
+  if (!match) return null;
+  const multiplier = match[2] === 'm' ? 1e6 : match[2] === 'k' ? 1e3 : 1;
+  return Math.round(Number(match[1]) * multiplier);
+};
+
+// Normalizes a single value for its field; returns undefined when it doesn't fit
+export const normalizeLeadValue = (key, value) => {
+  const field = FIELDS_BY_KEY[key];
+  if (!field) return undefined;
+  if (value === null || value === '') return null;
+
+  if (field.type === 'money') return parseMoney(value) ?? undefined;
+  if (field.type === 'select') {
+    const lower = String(value).toLowerCase();
+    return field.options.find(o => o === lower || o.startsWith(lower)) ?? undefined;
+  }
+  return String(value).trim();
+};
+
+// Applies fields reported by the agent, skipping unknown keys and caller-edited fields
+export const mergeAgentLead = (lead, fields, editedKeys = new Set()) => {
+  if (!fields || typeof fields !== 'object') return lead;
+  const next = { ...lead };
+  for (const [key, raw] of Object.entries(fields)) {
+    if (editedKeys.has(key)) continue;
+    const value = normalizeLeadValue(key, raw);
+    if (value !== undefined) next[key] = value;
+  }
+  return next;
+};
@@ -0,0 +1,85 @@
+// Microphone selection, audio-processing constraints and level metering.
+
+export const PROCESSING_OPTIONS = ['echoCancellation', 'noiseSuppression', 'autoGainControl'];
+
+export const defaultMicSettings = () => ({
+  deviceId: '',               // '' = the system default input
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+});
+
+export const normalizeMicSettings = (raw, defaults = defaultMicSettings()) => {
+  if (!raw || typeof raw !== 'object') return defaults;
+  const settings = { deviceId: typeof raw.deviceId === 'string' ? raw.deviceId : defaults.deviceId };
+  for (const key of PROCESSING_OPTIONS) {
+    settings[key] = typeof raw[key] === 'boolean' ? raw[key] : defaults[key];
+  }
+  return settings;
+};
+
+// getUserMedia audio constraints. The device is `exact` so a missing headset fails loudly
+// instead of silently recording from another mic; see openMicrophone for the fallback.
+export const audioConstraints = ({ deviceId, ...processing }) => ({
+  ...(deviceId && { deviceId: { exact: deviceId } }),
+  ...Object.fromEntries(PROCESSING_OPTIONS.map(key => [key, processing[key]])),
+});
+
+// Opens the chosen microphone, falling back to the default one when it was unplugged.
+// Resolves with `{ stream, fellBack }`.
+export const openMicrophone = async (settings) => {
+  try {
+    return { stream: await navigator.mediaDevices.getUserMedia({ audio: audioConstraints(settings) }), fellBack: false };
+  } catch (err) {
+    if (!settings.deviceId || (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) throw err;
+    console.warn(`Microphone ${settings.deviceId} is not available, using the default one`, err);
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints({ ...settings, deviceId: '' }) });
+    return { stream, fellBack: true };
+  }
+};
+
+// Audio inputs; labels stay empty until the page has been granted microphone access once
+export const listInputDevices = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter(d => d.kind === 'audioinput' && d.deviceId !== 'default' && d.deviceId !== 'communications');
+};
+
+// Root mean square of the analyser's current time-domain samples (0 = silence)
+export const rmsLevel = (analyser, buffer = new Float32Array(analyser.fftSize)) => {
+  analyser.getFloatTimeDomainData(buffer);
+  let sum = 0;
+  for (const v of buffer) sum += v * v;
+  return Math.sqrt(sum / buffer.length);
+};
+
+// RMS -> 0..1 on a 60 dB scale, which tracks loudness much better than the raw value
+export const levelToUnit = (rms) => {
+  if (rms <= 0) return 0;
+  return Math.min(1, Math.max(0, (20 * Math.log10(rms) + 60) / 60));
+};
+
+const METER_INTERVAL_MS = 50;
+
+// Calls onLevel(0..1) about 20 times a second with the stream's input level. Returns stop().
+// A no-op where Web Audio is unavailable.
+export const createLevelMeter = (stream, onLevel) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return () => {};
+
+  const audioCtx = new AudioContextClass();
+  const analyser = audioCtx.createAnalyser();
+  analyser.fftSize = 1024;
+  const source = audioCtx.createMediaStreamSource(stream);
+  source.connect(analyser);
+  const buffer = new Float32Array(analyser.fftSize);
+
+  const timer = setInterval(() => onLevel(levelToUnit(rmsLevel(analyser, buffer))), METER_INTERVAL_MS);
+
+  return () => {
+    clearInterval(timer);
+    source.disconnect();
+    audioCtx.close?.();
+    onLevel(0);
+  };
+};
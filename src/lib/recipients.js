@@ -0,0 +1,12 @@
+// Email recipient lists, as typed in settings and on the review screen
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isEmailAddress = (value) => typeof value === 'string' && EMAIL_PATTERN.test(value);
+
+// "a@x.com, b@y.com" or a list -> { recipients, invalid }, both trimmed and without blanks
+export const parseRecipients = (input) => {
+  const list = Array.isArray(input) ? input : String(input ?? '').split(/[,;\n]/);
+  const recipients = list.map(r => String(r).trim()).filter(Boolean);
+  return { recipients, invalid: recipients.filter(r => !isEmailAddress(r)) };
+};
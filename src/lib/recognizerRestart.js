@@ -0,0 +1,17 @@
+// When the speech recognizer listens again after it stops.
+//
+// Browsers fire onend after onerror. A recognizer that isn't allowed to listen ends right away,
+// so restarting it on every onend spins forever; errors like that stop listening for the rest
+// of the call instead. Anything else waits a little before listening again.
+
+// Delay after a normal onend
+export const RESTART_DELAY_MS = 250;
+
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported'];
+
+// Errors that won't go away by restarting; the call switches to text mode
+export const isFatalRecognizerError = (error) =>
+  error.includes('permission') || FATAL_ERRORS.includes(error);
+
+// Delay before listening again after a recoverable error
+export const restartDelayAfter = (error) => (error === 'no-speech' ? 400 : 800);
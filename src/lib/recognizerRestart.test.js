@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { RESTART_DELAY_MS, isFatalRecognizerError, restartDelayAfter } from './recognizerRestart';
+
+describe('recognizer restarts', () => {
+  it.each(['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported', 'permission-denied'])(
+    'stops listening after %s',
+    (error) => expect(isFatalRecognizerError(error)).toBe(true),
+  );
+
+  it.each(['no-speech', 'network', 'aborted'])('keeps listening after %s', (error) => {
+    expect(isFatalRecognizerError(error)).toBe(false);
+  });
+
+  it('waits longer after an error than after a normal end', () => {
+    expect(restartDelayAfter('no-speech')).toBe(400);
+    expect(restartDelayAfter('network')).toBe(800);
+    expect(restartDelayAfter('no-speech')).toBeGreaterThan(RESTART_DELAY_MS);
+  });
+});
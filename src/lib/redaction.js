@@ -0,0 +1,105 @@
+// PII redaction for transcripts before they leave the browser.
+//
+// Built-in detectors find Social Security numbers, card numbers (Luhn-checked), account
+// numbers and dates of birth; the last two only next to words like "account" or "born", so
+// loan amounts and phone numbers stay readable. Custom rules add regular expressions:
+//   { name: 'loanId', pattern: 'LN-\\d{6}', flags: 'i', label: 'LOAN ID' }
+// Each match is replaced by its label in brackets, e.g. "[SSN]".
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE  = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|${MONTH}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH},?\\s+\\d{4})`;
+
+// Luhn checksum, so any long number the caller reads out isn't taken for a card
+const isCardNumber = (match) => {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+};
+
+// `group` is the capture group to mask when the pattern also matches its context words
+const DETECTORS = {
+  card:    { label: 'CARD',    pattern: /\b\d(?:[ -]?\d){12,18}\b/g, valid: isCardNumber },
+  ssn:     { label: 'SSN',     pattern: /\b\d{3}[- .]?\d{2}[- .]?\d{4}\b/g },
+  account: {
+    label: 'ACCOUNT',
+    pattern: /\b(?:account|acct|routing|cuenta)(?:\s+(?:number|no|num|#|n[uú]mero))?(?:\s+(?:is|was|es))?[\s:#.,-]*((?:\d[ -]?){3,16}\d)\b/gdi,
+    group: 1,
+  },
+  dob: {
+    label: 'DOB',
+    pattern: new RegExp(`\\b(?:date of birth|birth ?date|birthday|dob|born(?:\\s+on)?|fecha de nacimiento|nac[ií] el)(?:\\s+(?:is|was|es))?[\\s:,-]*(${DATE})`, 'gdi'),
+    group: 1,
+  },
+};
+
+export const DETECTOR_NAMES = Object.keys(DETECTORS);
+
+// Throws on an invalid rule; config validation relies on that
+export const compileRule = ({ name, pattern, flags = 'i', label }) => {
+  if (!name || typeof pattern !== 'string') throw new Error('a rule needs a name and a pattern');
+  return {
+    label: label || name.toUpperCase(),
+    pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`),
+  };
+};
+
+// Spans to mask, as `[start, end, label]` in `text`
+const findSpans = (text, detectors) => {
+  const spans = [];
+  for (const { label, pattern, valid, group } of detectors) {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      if (valid && !valid(match[0])) continue;
+      const [start, end] = group ? match.indices[group] : [match.index, match.index + match[0].length];
+      if (end > start) spans.push([start, end, label]);
+    }
+  }
+  // Earlier detectors win overlaps (a card number contains SSN-shaped runs)
+  const taken = [];
+  for (const span of spans) {
+    if (!taken.some(([s, e]) => span[0] < e && s < span[1])) taken.push(span);
+  }
+  return taken.sort((a, b) => a[0] - b[0]);
+};
+
+// Returns redact(text) -> { text, redactions: [{ label, start, end }] }, where the redaction
+// offsets point at the "[LABEL]" masks in the returned text
+export const createRedactor = ({ detectors = DETECTOR_NAMES, rules = [] } = {}) => {
+  const active = [
+    ...detectors.filter(name => DETECTORS[name]).map(name => DETECTORS[name]),
+    ...rules.map(compileRule),
+  ];
+
+  return (text) => {
+    let out = '';
+    let last = 0;
+    const redactions = [];
+    for (const [start, end, label] of findSpans(text, active)) {
+      out += text.slice(last, start);
+      const mask = `[${label}]`;
+      redactions.push({ label, start: out.length, end: out.length + mask.length });
+      out += mask;
+      last = end;
+    }
+    return { text: out + text.slice(last), redactions };
+  };
+};
+
+// Redacted copies of transcript lines; lines with masks carry them in `redactions`
+export const redactLines = (lines, redact) =>
+  lines.map(line => {
+    const { text, redactions } = redact(line.text);
+    const copy = { ...line, text };
+    if (redactions.length) copy.redactions = redactions;
+    if (line.fullText) copy.fullText = redact(line.fullText).text;
+    return copy;
+  });
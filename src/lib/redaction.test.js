@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { compileRule, createRedactor, redactLines } from './redaction';
+
+describe('redaction', () => {
+  const redact = createRedactor();
+
+  it.each([
+    ['My social is 123-45-6789.', 'My social is [SSN].'],
+    ['It\'s 123456789', 'It\'s [SSN]'],
+    ['Card 4111 1111 1111 1111 please', 'Card [CARD] please'],
+    ['My account number is 0012 3456 78', 'My account number is [ACCOUNT]'],
+    ['I was born on March 3rd, 1980', 'I was born on [DOB]'],
+    ['Date of birth 03/04/1980', 'Date of birth [DOB]'],
+  ])('masks %s', (text, expected) => {
+    expect(redact(text).text).toBe(expected);
+  });
+
+  it.each([
+    'I want to borrow 300000 dollars',
+    'Call me at 555-123-4567',
+    'The numbers are 1234 5678 9012 3456',   // fails the card checksum
+    'We bought it in March 2015',
+  ])('leaves %s alone', (text) => {
+    expect(redact(text)).toEqual({ text, redactions: [] });
+  });
+
+  it('points redactions at the masks in the new text', () => {
+    const { text, redactions } = redact('SSN 123-45-6789 and card 4111-1111-1111-1111');
+    expect(text).toBe('SSN [SSN] and card [CARD]');
+    expect(redactions.map(r => text.slice(r.start, r.end))).toEqual(['[SSN]', '[CARD]']);
+  });
+
+  it('applies custom rules and only the chosen detectors', () => {
+    const custom = createRedactor({ detectors: ['card'], rules: [{ name: 'loanId', pattern: 'LN-\\d{6}', label: 'LOAN ID' }] });
+    expect(custom('Loan LN-123456, SSN 123-45-6789').text).toBe('Loan [LOAN ID], SSN 123-45-6789');
+    expect(() => compileRule({ name: 'broken', pattern: '(' })).toThrow();
+  });
+
+  it('redacts copies of transcript lines', () => {
+    const lines = [{ role: 'user', text: 'It is 123-45-6789', start: 0 }];
+    const [copy] = redactLines(lines, redact);
+    expect(copy).toMatchObject({ text: 'It is [SSN]', start: 0, redactions: [{ label: 'SSN', start: 6, end: 11 }] });
+    expect(lines[0].text).toBe('It is 123-45-6789');
+  });
+});
@@ -0,0 +1,123 @@
+// Call scenarios: what a call is about and who the agent is.
+//
+// Scenarios are defined in a JSON file (`scenariosUrl`, default /scenarios.json) that loadConfig
+// validates into `config.scenarios`:
+//   {
+//     "id": "refinance",                      letters, digits and dashes
+//     "name": "Refinance",                    shown in the picker
+//     "description": "Lower the rate...",     optional, shown under the picker
+//     "opening": "Greet the caller and...",   optional hidden instruction that starts the call
+//     "persona": { "name": "Maya", "voice": "Samantha|Aria" },   optional; voice is a regex
+//     "requiredLeadFields": ["loanAmount"],   lead fields the agent must collect (see lib/lead)
+//     "email": { "subject": "...", "recipients": ["team@example.com"] }   optional
+//   }
+// Scenarios without an opening, and every call when there is no file, start with `greetingPrompt`.
+
+import { LEAD_FIELDS } from './lead';
+import { isEmailAddress } from './recipients';
+
+export const GENERIC_SCENARIO_ID = 'general';
+
+export const genericScenario = (config) => ({
+  id: GENERIC_SCENARIO_ID,
+  name: 'General mortgage questions',
+  description: '',
+  opening: config.greetingPrompt,
+  persona: null,
+  requiredLeadFields: [],
+  email: { subject: '', recipients: [] },
+});
+
+// The hidden instruction that starts the call
+export const scenarioOpening = (scenario, config) => scenario.opening ?? config.greetingPrompt;
+
+// The scenarios offered for a call, never empty
+export const callScenarios = (config) =>
+  config.scenarios?.length ? config.scenarios : [genericScenario(config)];
+
+export const missingLeadFields = (scenario, lead) =>
+  scenario.requiredLeadFields.filter(key => lead[key] === null || lead[key] === '');
+
+// What /api/chat gets to know about the scenario on every turn
+export const scenarioForChat = (scenario, lead) => ({
+  id: scenario.id,
+  name: scenario.name,
+  persona: scenario.persona?.name ?? null,
+  requiredLeadFields: scenario.requiredLeadFields,
+  missingLeadFields: missingLeadFields(scenario, lead),
+});
+
+// Configured recipients plus the scenario's own, without duplicates
+export const scenarioRecipients = (scenario, recipients) =>
+  [...new Set([...recipients, ...scenario.email.recipients])];
+
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+const LEAD_KEYS = LEAD_FIELDS.map(f => f.key);
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Validates the scenario file's contents; returns { scenarios, problems }
+export const parseScenarios = (data) => {
+  const problems = [];
+  if (!Array.isArray(data?.scenarios)) {
+    return { scenarios: [], problems: ['must contain a "scenarios" array'] };
+  }
+
+  const seen = new Set();
+  const scenarios = data.scenarios.map((raw, i) => {
+    const where = `scenarios[${i}]`;
+    const problem = (message) => problems.push(`${where}${message}`);
+    if (!raw || typeof raw !== 'object') {
+      problem(' must be an object');
+      return null;
+    }
+
+    if (!isText(raw.id) || !ID_PATTERN.test(raw.id)) problem('.id must use only letters, digits and dashes');
+    else if (seen.has(raw.id)) problem(`.id "${raw.id}" is used twice`);
+    seen.add(raw.id);
+    if (!isText(raw.name)) problem('.name is required');
+    if (raw.opening !== undefined && !isText(raw.opening)) problem('.opening must be non-empty text');
+    if (raw.description !== undefined && typeof raw.description !== 'string') problem('.description must be text');
+
+    const persona = raw.persona ?? null;
+    if (persona !== null) {
+      if (!isText(persona.name)) problem('.persona.name is required');
+      if (persona.voice !== undefined) {
+        try {
+          new RegExp(persona.voice, 'i');
+        } catch {
+          problem('.persona.voice is not a valid regular expression');
+        }
+      }
+    }
+
+    const required = raw.requiredLeadFields ?? [];
+    if (!Array.isArray(required)) problem('.requiredLeadFields must be a list');
+    else {
+      const unknown = required.filter(key => !LEAD_KEYS.includes(key));
+      if (unknown.length) problem(`.requiredLeadFields has unknown fields: ${unknown.join(', ')} (known: ${LEAD_KEYS.join(', ')})`);
+    }
+
+    const email = raw.email ?? {};
+    if (email.subject !== undefined && typeof email.subject !== 'string') problem('.email.subject must be text');
+    const recipients = email.recipients ?? [];
+    if (!Array.isArray(recipients)) problem('.email.recipients must be a list');
+    else {
+      const bad = recipients.filter(r => !isEmailAddress(r));
+      if (bad.length) problem(`.email.recipients has invalid addresses: ${bad.join(', ')}`);
+    }
+
+    return {
+      id: raw.id,
+      name: raw.name,
+      description: raw.description ?? '',
+      opening: raw.opening ?? null,
+      persona: persona && { name: persona.name, voice: persona.voice ?? null },
+      requiredLeadFields: Array.isArray(required) ? required : [],
+      email: { subject: email.subject ?? '', recipients: Array.isArray(recipients) ? recipients : [] },
+    };
+  });
+
+  if (!scenarios.length) problems.push('"scenarios" must list at least one scenario');
+  return { scenarios: problems.length ? [] : scenarios, problems };
+};
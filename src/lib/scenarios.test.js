@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { callScenarios, parseScenarios, scenarioForChat, scenarioOpening, scenarioRecipients } from './scenarios';
+import { emptyLead } from './lead';
+
+const REFINANCE = {
+  id: 'refinance',
+  name: 'Refinancing',
+  opening: 'Ask what they want to achieve.',
+  persona: { name: 'Daniel', voice: 'Daniel|Guy' },
+  requiredLeadFields: ['loanAmount', 'fullName'],
+  email: { subject: 'New refinance lead', recipients: ['refi@example.com'] },
+};
+
+describe('parseScenarios', () => {
+  it('fills in optional fields', () => {
+    const { scenarios, problems } = parseScenarios({
+      scenarios: [REFINANCE, { id: 'payments', name: 'Payments' }],
+    });
+
+    expect(problems).toEqual([]);
+    expect(scenarios[0]).toEqual({ ...REFINANCE, description: '' });
+    expect(scenarios[1]).toEqual({
+      id: 'payments', name: 'Payments', description: '', opening: null, persona: null,
+      requiredLeadFields: [], email: { subject: '', recipients: [] },
+    });
+  });
+
+  it('lists every problem', () => {
+    const { scenarios, problems } = parseScenarios({
+      scenarios: [
+        { ...REFINANCE, requiredLeadFields: ['loanAmount', 'ssn'] },
+        { ...REFINANCE, opening: '', persona: { voice: '(' }, email: { recipients: ['nobody'] } },
+        'purchase',
+      ],
+    });
+
+    expect(scenarios).toEqual([]);
+    expect(problems).toEqual([
+      expect.stringMatching(/^scenarios\[0\]\.requiredLeadFields has unknown fields: ssn/),
+      'scenarios[1].id "refinance" is used twice',
+      'scenarios[1].opening must be non-empty text',
+      'scenarios[1].persona.name is required',
+      'scenarios[1].persona.voice is not a valid regular expression',
+      'scenarios[1].email.recipients has invalid addresses: nobody',
+      'scenarios[2] must be an object',
+    ]);
+    expect(parseScenarios([REFINANCE]).problems).toEqual(['must contain a "scenarios" array']);
+    expect(parseScenarios({ scenarios: [] }).problems).toEqual(['"scenarios" must list at least one scenario']);
+  });
+});
+
+describe('scenario helpers', () => {
+  it('falls back to the generic scenario', () => {
+    expect(callScenarios({ greetingPrompt: 'Say hi.' })).toEqual([
+      expect.objectContaining({ id: 'general', opening: 'Say hi.', persona: null }),
+    ]);
+  });
+
+  it('opens with the greeting prompt unless the scenario has its own opening', () => {
+    const config = { greetingPrompt: 'Say hi.' };
+    const [refinance, payments] = parseScenarios({
+      scenarios: [REFINANCE, { id: 'payments', name: 'Payments' }],
+    }).scenarios;
+    expect(scenarioOpening(refinance, config)).toBe('Ask what they want to achieve.');
+    expect(scenarioOpening(payments, config)).toBe('Say hi.');
+  });
+
+  it('tells /api/chat which required fields are still missing', () => {
+    const [scenario] = parseScenarios({ scenarios: [REFINANCE] }).scenarios;
+    expect(scenarioForChat(scenario, { ...emptyLead(), loanAmount: 250000 })).toEqual({
+      id: 'refinance',
+      name: 'Refinancing',
+      persona: 'Daniel',
+      requiredLeadFields: ['loanAmount', 'fullName'],
+      missingLeadFields: ['fullName'],
+    });
+    expect(scenarioRecipients(scenario, ['ops@example.com', 'refi@example.com']))
+      .toEqual(['ops@example.com', 'refi@example.com']);
+  });
+});
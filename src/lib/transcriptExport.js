@@ -0,0 +1,97 @@
+// Transcript formats aligned with the call recording.
+//
+// Lines carry `start` / `end` in milliseconds since recorder.start() (null when unknown,
+// e.g. a call without a recording). Subtitle formats need both, so missing values are
+// filled from the neighbouring lines.
+
+const SPEAKERS = { user: 'Caller', agent: 'Agent', system: 'Note' };
+
+// Plain-text labels, as the email has always had them
+const PLAIN_LABELS = { user: 'You', agent: 'Agent', system: 'Note' };
+
+const MIN_CUE_MS = 1000;
+
+export const speakerName = (role) => SPEAKERS[role] || role;
+
+// 75_300 -> '00:01:15.300' (VTT) or '00:01:15,300' (SRT)
+export const formatTimestamp = (ms, separator = '.') => {
+  const total = Math.max(0, Math.round(ms));
+  const h = Math.floor(total / 3_600_000);
+  const m = Math.floor(total / 60_000) % 60;
+  const s = Math.floor(total / 1000) % 60;
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(total % 1000, 3)}`;
+};
+
+// 75_300 -> '1:15', for display next to transcript lines
+export const formatOffset = (ms) => {
+  const total = Math.floor(Math.max(0, ms) / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Lines with a usable start/end for subtitle cues; lines without any timing are left out
+export const timedSegments = (lines) => {
+  const segments = [];
+  lines.forEach((line, i) => {
+    if (line.start == null) return;
+    const nextStart = lines.slice(i + 1).find(l => l.start != null)?.start;
+    const end = line.end ?? nextStart ?? line.start + MIN_CUE_MS;
+    segments.push({ ...line, end: Math.max(end, line.start + 1) });
+  });
+  return segments;
+};
+
+// Index of the line being played at `ms` into the recording, or -1
+export const activeLineIndex = (lines, ms) => {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i];
+    if (line.start == null || line.start > ms) continue;
+    // Lines that start and end in the same millisecond still get one, as in timedSegments
+    return line.end == null || ms < Math.max(line.end, line.start + 1) ? i : -1;
+  }
+  return -1;
+};
+
+// Plain-text transcript for the email and /api/summary, with offsets when known
+export const toPlainText = (lines) =>
+  lines
+    .map(l => {
+      const who = `${PLAIN_LABELS[l.role] || l.role}: ${l.text}`;
+      return l.start == null ? who : `[${formatOffset(l.start)}] ${who}`;
+    })
+    .join('\n\n');
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const toWebVtt = (lines) => {
+  const cues = timedSegments(lines).map(l =>
+    `${formatTimestamp(l.start)} --> ${formatTimestamp(l.end)}\n<v ${speakerName(l.role)}>${escapeVtt(l.text)}`);
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+export const toSrt = (lines) =>
+  timedSegments(lines)
+    .map((l, i) =>
+      `${i + 1}\n${formatTimestamp(l.start, ',')} --> ${formatTimestamp(l.end, ',')}\n${speakerName(l.role)}: ${l.text}`)
+    .join('\n\n') + '\n';
+
+// Structured transcript; `call` is `{ id, startedAt, recordingStartedAt, recordingLayout, consent, lang }`
+export const toTranscriptJson = (lines, call = {}) => ({
+  callId: call.id ?? null,
+  startedAt: call.startedAt ? new Date(call.startedAt).toISOString() : null,
+  recordingStartedAt: call.recordingStartedAt ? new Date(call.recordingStartedAt).toISOString() : null,
+  recordingLayout: call.recordingLayout ?? null,
+  consent: call.consent ?? null,
+  lang: call.lang ?? null,
+  scenario: call.scenario ?? null,
+  segments: lines.map(l => ({
+    speaker: speakerName(l.role),
+    role: l.role,
+    text: l.text,
+    startMs: l.start ?? null,
+    endMs: l.end ?? null,
+    ...(l.interrupted && { interrupted: true, fullText: l.fullText }),
+    ...(l.typed && { typed: true }),
+    ...(l.event && { event: l.event }),
+  })),
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import {
+  activeLineIndex, formatOffset, formatTimestamp, timedSegments, toPlainText, toSrt, toTranscriptJson, toWebVtt,
+} from './transcriptExport';
+
+const LINES = [
+  { role: 'agent', text: 'Hi! Are you buying or refinancing?', start: 200, end: 2_900 },
+  { role: 'user',  text: 'Refinancing <my> house', start: 4_100, end: 5_600 },
+  { role: 'agent', text: 'Great.', start: 6_000, end: null },
+  { role: 'user',  text: 'Not recorded', start: null, end: null },
+  { role: 'agent', text: 'Goodbye!', start: 3_723_450, end: null },
+];
+
+describe('timestamps', () => {
+  it('formats subtitle and display offsets', () => {
+    expect(formatTimestamp(3_723_450)).toBe('01:02:03.450');
+    expect(formatTimestamp(75_300, ',')).toBe('00:01:15,300');
+    expect(formatTimestamp(-5)).toBe('00:00:00.000');
+    expect(formatOffset(75_300)).toBe('1:15');
+  });
+
+  it('fills missing ends from the next line and drops untimed lines', () => {
+    const segments = timedSegments(LINES);
+    expect(segments.map(s => s.text)).not.toContain('Not recorded');
+    expect(segments[2].end).toBe(3_723_450);
+    expect(segments[3].end).toBe(3_724_450);
+  });
+
+  it('finds the line being played', () => {
+    expect(activeLineIndex(LINES, 1_000)).toBe(0);
+    expect(activeLineIndex(LINES, 3_500)).toBe(-1);
+    expect(activeLineIndex(LINES, 10_000)).toBe(2);
+  });
+});
+
+describe('formats', () => {
+  it('prefixes plain text with offsets when known', () => {
+    expect(toPlainText(LINES.slice(2, 4))).toBe('[0:06] Agent: Great.\n\nYou: Not recorded');
+  });
+
+  it('writes WebVTT cues with voice tags', () => {
+    const vtt = toWebVtt(LINES);
+    expect(vtt.startsWith('WEBVTT\n\n00:00:00.200 --> 00:00:02.900\n<v Agent>Hi!')).toBe(true);
+    expect(vtt).toContain('<v Caller>Refinancing &lt;my&gt; house');
+  });
+
+  it('writes numbered SRT cues', () => {
+    const srt = toSrt(LINES);
+    expect(srt).toContain('2\n00:00:04,100 --> 00:00:05,600\nCaller: Refinancing <my> house');
+    expect(srt.trim().split('\n\n')).toHaveLength(4);
+  });
+
+  it('writes JSON with the call details and every line', () => {
+    const json = toTranscriptJson(LINES, { id: 'c1', startedAt: 0, recordingStartedAt: 1_000, lang: 'en-US' });
+    expect(json).toMatchObject({ callId: 'c1', recordingStartedAt: '1970-01-01T00:00:01.000Z', lang: 'en-US' });
+    expect(json.segments).toHaveLength(5);
+    expect(json.segments[1]).toEqual({
+      speaker: 'Caller', role: 'user', text: 'Refinancing <my> house', startMs: 4_100, endMs: 5_600,
+    });
+  });
+});
@@ -0,0 +1,38 @@
+// Caller's voice preferences for the agent's speech.
+//
+//   { voices: { en: 'Google US English', es: null }, rate: 1.2, pitch: 1, volume: 0.8 }
+//
+// Voices are chosen per base language so switching the call language never keeps a voice that
+// can't speak it; null means "pick automatically" (see pickVoice in engines/browserTts).
+
+export const VOICE_RANGES = {
+  rate:   { min: 0.5, max: 2,   step: 0.05 },
+  pitch:  { min: 0,   max: 2,   step: 0.05 },
+  volume: { min: 0,   max: 1,   step: 0.05 },
+};
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+export const defaultVoiceSettings = (rate = 1) => ({
+  voices: {},
+  rate: clamp(rate, VOICE_RANGES.rate),
+  pitch: 1,
+  volume: 1,
+});
+
+// Accepts whatever was stored (maybe by an older version) and returns valid settings
+export const normalizeVoiceSettings = (raw, defaults = defaultVoiceSettings()) => {
+  if (!raw || typeof raw !== 'object') return defaults;
+
+  const number = (key) =>
+    typeof raw[key] === 'number' && Number.isFinite(raw[key]) ? clamp(raw[key], VOICE_RANGES[key]) : defaults[key];
+
+  const voices = {};
+  if (raw.voices && typeof raw.voices === 'object') {
+    for (const [lang, name] of Object.entries(raw.voices)) {
+      if (typeof name === 'string' && name) voices[lang] = name;
+    }
+  }
+
+  return { voices, rate: number('rate'), pitch: number('pitch'), volume: number('volume') };
+};
@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { defaultVoiceSettings, normalizeVoiceSettings } from './voiceSettings';
+
+describe('normalizeVoiceSettings', () => {
+  it('clamps numbers and keeps valid voice names', () => {
+    expect(normalizeVoiceSettings({ voices: { en: 'Samantha', es: '' }, rate: 5, pitch: -1, volume: 0.4 }))
+      .toEqual({ voices: { en: 'Samantha' }, rate: 2, pitch: 0, volume: 0.4 });
+  });
+
+  it('falls back to the defaults for missing or broken values', () => {
+    const defaults = defaultVoiceSettings(1.5);
+    expect(normalizeVoiceSettings({ rate: 'fast', voices: 'Samantha' }, defaults))
+      .toEqual({ voices: {}, rate: 1.5, pitch: 1, volume: 1 });
+    expect(normalizeVoiceSettings(null, defaults)).toBe(defaults);
+  });
+});
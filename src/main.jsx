@@ -2,9 +2,20 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ConfigErrorScreen from './components/ConfigErrorScreen.jsx'
+import { loadConfig } from './config.js'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+const root = createRoot(document.getElementById('root'))
+
+loadConfig()
+  .then(config => {
+    root.render(
+      <StrictMode>
+        <App config={config} />
+      </StrictMode>,
+    )
+  })
+  .catch(error => {
+    console.error(error)
+    root.render(<ConfigErrorScreen error={error} />)
+  })
@@ -0,0 +1,55 @@
+// Past calls, persisted in IndexedDB.
+//
+// A call record looks like:
+//   { id, startedAt, endedAt, recordingStartedAt, durationMs, lang,
+//     transcript: [{ role, text, at, start, end, redactions }], summary, lead,
+//     transcriptUnredacted (only with keepUnredactedTranscript),
+//     recording: Blob | null, recordingLayout: 'stereo' | 'caller-only' | null,
+//     agentMarkers: [{ startMs, endMs, text }] | null,
+//     consent: { mode, granted, method, decidedAt, answer } | null,
+//     scenario, note (added on the review screen),
+//     emailStatus: 'review' | 'discarded' | 'sending' | 'sent' | 'queued' | 'failed', emailError }
+
+import { CALLS_STORE, requestToPromise, withStore } from './db';
+
+export const saveCall = (record) =>
+  withStore(CALLS_STORE, 'readwrite', store => requestToPromise(store.put(record)));
+
+export const getCall = (id) =>
+  withStore(CALLS_STORE, 'readonly', store => requestToPromise(store.get(id)));
+
+export const updateCall = (id, patch) =>
+  withStore(CALLS_STORE, 'readwrite', async store => {
+    const existing = await requestToPromise(store.get(id));
+    if (!existing) return null;
+    const next = { ...existing, ...patch };
+    await requestToPromise(store.put(next));
+    return next;
+  });
+
+export const deleteCall = (id) =>
+  withStore(CALLS_STORE, 'readwrite', store => requestToPromise(store.delete(id)));
+
+// Newest first
+export const listCalls = async () => {
+  const calls = await withStore(CALLS_STORE, 'readonly', store => requestToPromise(store.getAll()));
+  return calls.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+export const matchesSearch = (call, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  const haystack = [
+    call.summary,
+    call.lead?.fullName,
+    call.lead?.email,
+    ...call.transcript.map(l => l.text),
+  ].filter(Boolean).join('\n').toLowerCase();
+  return haystack.includes(q);
+};
+
+export const newCallId = () =>
+  crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Identity of a call that is just starting; the rest of the record is filled in by endCall
+export const beginCallRecord = () => ({ id: newCallId(), startedAt: Date.now() });
@@ -0,0 +1,50 @@
+// Thin promise wrapper around the app's IndexedDB database.
+
+const DB_NAME    = 'voice-agent';
+const DB_VERSION = 2;
+
+export const CALLS_STORE  = 'calls';
+export const OUTBOX_STORE = 'outbox';
+
+let dbPromise = null;
+
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror   = () => reject(request.error);
+});
+
+export const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CALLS_STORE)) {
+        const calls = db.createObjectStore(CALLS_STORE, { keyPath: 'id' });
+        calls.createIndex('startedAt', 'startedAt');
+      }
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+      }
+    };
+    dbPromise = requestToPromise(request).catch(err => {
+      dbPromise = null;   // allow a later retry
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `fn(store)` in a transaction and resolves with its result once the transaction commits
+export const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(fn(tx.objectStore(storeName)))
+      .then(r => { result = r; })
+      .catch(reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+};
@@ -0,0 +1,142 @@
+// Persistent outbox for end-of-call deliveries (summary + email) that failed.
+//
+// An item looks like:
+//   { id, callId, createdAt, attempts, nextAttemptAt, lastError,
+//     status: 'pending' | 'failed' | 'review', payload: { transcript, summary, lead, recording } }
+// `summary` stays null until /api/summary succeeds, so a retry asks for it again. A failed
+// summary doesn't hold the email back: it goes out with FALLBACK_SUMMARY instead.
+// Items are retried automatically with exponential backoff; after MAX_AUTO_ATTEMPTS they are
+// marked 'failed' and wait for a manual retry. A discarded item's call is marked 'discarded'
+// in the call history.
+//
+// A call held for review (reviewBeforeSend) waits here too, with status 'review', so a reload
+// doesn't lose it. It is never retried; it also keeps the transcript `lines` shown on the review
+// screen and the reviewer's `draft`: { summary, recipientsText, note }.
+
+import { OUTBOX_STORE, requestToPromise, withStore } from './db';
+import { newCallId, updateCall } from './callHistory';
+
+export const MAX_AUTO_ATTEMPTS = 8;
+
+export const FALLBACK_SUMMARY = 'Could not create summary';
+
+const BASE_DELAY_MS = 15 * 1000;
+const MAX_DELAY_MS  = 30 * 60 * 1000;
+
+// 15s, 30s, 1m, 2m ... capped at 30 minutes, with ±20% jitter so tabs don't retry in lockstep
+export const retryDelay = (attempts) => {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const putItem = (item) =>
+  withStore(OUTBOX_STORE, 'readwrite', store => requestToPromise(store.put(item)));
+
+export const listOutbox = async () => {
+  const items = await withStore(OUTBOX_STORE, 'readonly', store => requestToPromise(store.getAll()));
+  return items.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Applies `changes` to an item that is still stored; one discarded meanwhile stays discarded
+const updateItem = (id, changes) =>
+  withStore(OUTBOX_STORE, 'readwrite', async store => {
+    const current = await requestToPromise(store.get(id));
+    if (current) await requestToPromise(store.put({ ...current, ...changes }));
+  });
+
+const deleteItem = (id) =>
+  withStore(OUTBOX_STORE, 'readwrite', store => requestToPromise(store.delete(id)));
+
+export const discardOutboxItem = async (id) => {
+  const item = await withStore(OUTBOX_STORE, 'readonly', store => requestToPromise(store.get(id)));
+  await deleteItem(id);
+  if (item?.callId) {
+    await updateCall(item.callId, { emailStatus: 'discarded' }).catch(() => {});
+  }
+};
+
+export const enqueueDelivery = async (payload, { callId, error } = {}) => {
+  const item = {
+    id: newCallId(),
+    callId,
+    createdAt: Date.now(),
+    attempts: 1,
+    nextAttemptAt: Date.now() + retryDelay(1),
+    status: 'pending',
+    lastError: error?.message || null,
+    payload,
+  };
+  await putItem(item);
+  return item;
+};
+
+export const holdForReview = async (payload, { callId, lines, draft }) => {
+  const item = {
+    id: newCallId(),
+    callId,
+    createdAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: null,
+    status: 'review',
+    lastError: null,
+    payload,
+    lines,
+    draft,
+  };
+  await putItem(item);
+  return item;
+};
+
+export const saveReviewDraft = (item, draft) => putItem({ ...item, draft });
+
+// Sent or queued for delivery; a discarded review goes through discardOutboxItem instead
+export const releaseReview = (id) => deleteItem(id);
+
+// The review a reload interrupted, if any
+export const findHeldReview = async () =>
+  (await listOutbox()).find(item => item.status === 'review') ?? null;
+
+// Runs the delivery steps that haven't succeeded yet. `payload.summary` is filled in place
+// once /api/summary succeeds; until then the email carries FALLBACK_SUMMARY.
+export const deliverPayload = async (payload, { summarize, sendEmail }) => {
+  if (payload.summary == null) {
+    try {
+      payload.summary = await summarize(payload.transcript, { locale: payload.locale });
+    } catch (err) {
+      console.warn('Summary failed, sending the email without it:', err);
+    }
+  }
+  await sendEmail({ ...payload, summary: payload.summary ?? FALLBACK_SUMMARY });
+};
+
+// Attempts one item; on failure it is rescheduled (or marked failed). Resolves true when delivered.
+export const attemptDelivery = async (item, handlers) => {
+  try {
+    await deliverPayload(item.payload, handlers);
+    await deleteItem(item.id);
+    if (item.callId) {
+      await updateCall(item.callId, { emailStatus: 'sent', summary: item.payload.summary ?? '' }).catch(() => {});
+    }
+    return true;
+  } catch (err) {
+    const attempts = item.attempts + 1;
+    // The item may have been discarded while this attempt was running
+    await updateItem(item.id, {
+      payload: item.payload,
+      attempts,
+      lastError: err.message,
+      status: attempts >= MAX_AUTO_ATTEMPTS ? 'failed' : 'pending',
+      nextAttemptAt: Date.now() + retryDelay(attempts),
+    });
+    return false;
+  }
+};
+
+// Attempts every pending item whose backoff has elapsed
+export const processOutbox = async (handlers, now = Date.now()) => {
+  const items = await listOutbox();
+  for (const item of items) {
+    if (item.status !== 'pending' || item.nextAttemptAt > now) continue;
+    await attemptDelivery(item, handlers);
+  }
+};
@@ -0,0 +1,147 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  FALLBACK_SUMMARY,
+  MAX_AUTO_ATTEMPTS,
+  attemptDelivery,
+  deliverPayload,
+  discardOutboxItem,
+  enqueueDelivery,
+  findHeldReview,
+  holdForReview,
+  listOutbox,
+  processOutbox,
+  releaseReview,
+  retryDelay,
+  saveReviewDraft,
+} from './outbox';
+import { getCall, saveCall } from './callHistory';
+
+const payload = () => ({ deliveryId: 'call-1', transcript: 'Agent: Hi', summary: null, locale: 'en-US' });
+
+const handlers = ({ summary = 'A summary', email = 'ok' } = {}) => ({
+  summarize: vi.fn(async () => {
+    if (summary instanceof Error) throw summary;
+    return summary;
+  }),
+  sendEmail: vi.fn(async () => {
+    if (email instanceof Error) throw email;
+  }),
+});
+
+describe('retryDelay', () => {
+  it('doubles from 15 seconds up to 30 minutes', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);   // no jitter
+    expect([1, 2, 3, 4].map(retryDelay)).toEqual([15000, 30000, 60000, 120000]);
+    expect(retryDelay(20)).toBe(30 * 60 * 1000);
+  });
+
+  it('spreads retries by ±20%', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(retryDelay(1)).toBe(12000);
+    Math.random.mockReturnValue(0.999999);
+    expect(retryDelay(1)).toBe(18000);
+  });
+});
+
+describe('deliverPayload', () => {
+  it('summarizes once, then emails', async () => {
+    const steps = handlers();
+    const item = payload();
+    await deliverPayload(item, steps);
+    await deliverPayload(item, steps);
+
+    expect(steps.summarize).toHaveBeenCalledTimes(1);
+    expect(steps.sendEmail).toHaveBeenLastCalledWith(expect.objectContaining({ summary: 'A summary' }));
+  });
+
+  it('still emails with a fallback summary when the summary fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const steps = handlers({ summary: new Error('summary down') });
+    const item = payload();
+    await deliverPayload(item, steps);
+
+    expect(steps.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ summary: FALLBACK_SUMMARY }));
+    // A later retry asks for the summary again
+    expect(item.summary).toBeNull();
+  });
+});
+
+describe('outbox', () => {
+  it('reschedules failed attempts with a growing delay, then gives up', async () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    let item = await enqueueDelivery(payload(), { callId: 'call-1', error: new Error('503') });
+    expect(item).toMatchObject({ attempts: 1, status: 'pending', lastError: '503' });
+
+    const failing = handlers({ email: new Error('still down') });
+    let previousDelay = 0;
+    while (item.status === 'pending') {
+      const before = Date.now();
+      expect(await attemptDelivery(item, failing)).toBe(false);
+      [item] = await listOutbox();
+      const delay = item.nextAttemptAt - before;
+      expect(delay).toBeGreaterThanOrEqual(previousDelay);
+      previousDelay = delay;
+    }
+    expect(item).toMatchObject({ attempts: MAX_AUTO_ATTEMPTS, status: 'failed', lastError: 'still down' });
+  });
+
+  it('only processes pending items that are due', async () => {
+    await enqueueDelivery(payload(), { callId: 'call-1' });
+    await enqueueDelivery(payload(), { callId: 'call-2' });
+    const steps = handlers();
+
+    await processOutbox(steps, Date.now());
+    expect(steps.sendEmail).not.toHaveBeenCalled();
+
+    await processOutbox(steps, Date.now() + 60 * 1000);
+    expect(steps.sendEmail).toHaveBeenCalledTimes(2);
+    expect(await listOutbox()).toEqual([]);
+
+    const failed = await enqueueDelivery(payload(), { callId: 'call-3' });
+    await attemptDelivery({ ...failed, attempts: MAX_AUTO_ATTEMPTS }, handlers({ email: new Error('down') }));
+    await processOutbox(steps, Date.now() + 24 * 60 * 60 * 1000);
+    expect(steps.sendEmail).toHaveBeenCalledTimes(2);
+    expect((await listOutbox())[0].status).toBe('failed');
+  });
+
+  it('keeps an item discarded during a failing attempt discarded', async () => {
+    const item = await enqueueDelivery(payload(), { callId: 'call-1' });
+    const steps = handlers();
+    steps.sendEmail.mockImplementation(async () => {
+      await discardOutboxItem(item.id);
+      throw new Error('503');
+    });
+
+    expect(await attemptDelivery(item, steps)).toBe(false);
+    expect(await listOutbox()).toEqual([]);
+  });
+
+  it('keeps a call held for review, with its draft, out of the retries', async () => {
+    const draft = { summary: '', recipientsText: 'ops@example.com', note: '' };
+    const held = await holdForReview(payload(), { callId: 'call-1', lines: [{ role: 'agent', text: 'Hi' }], draft });
+    const steps = handlers();
+
+    await processOutbox(steps, Date.now() + 24 * 60 * 60 * 1000);
+    expect(steps.sendEmail).not.toHaveBeenCalled();
+
+    await saveReviewDraft(held, { ...draft, note: 'Call back Monday.' });
+    expect(await findHeldReview()).toMatchObject({ id: held.id, status: 'review', draft: { note: 'Call back Monday.' } });
+
+    await releaseReview(held.id);
+    expect(await findHeldReview()).toBeNull();
+  });
+
+  it('marks delivered and discarded items in the call history', async () => {
+    await saveCall({ id: 'call-1', startedAt: 1, transcript: [], emailStatus: 'queued' });
+    await saveCall({ id: 'call-2', startedAt: 2, transcript: [], emailStatus: 'queued' });
+    const delivered = await enqueueDelivery(payload(), { callId: 'call-1' });
+    const dropped = await enqueueDelivery(payload(), { callId: 'call-2' });
+
+    await attemptDelivery(delivered, handlers());
+    await discardOutboxItem(dropped.id);
+
+    expect(await listOutbox()).toEqual([]);
+    expect(await getCall('call-1')).toMatchObject({ emailStatus: 'sent', summary: 'A summary' });
+    expect((await getCall('call-2')).emailStatus).toBe('discarded');
+  });
+});
@@ -0,0 +1,167 @@
+// Fakes for navigator.mediaDevices, MediaRecorder and the bits of Web Audio the app uses.
+
+export class FakeMediaStreamTrack {
+  constructor(kind = 'audio') {
+    this.kind       = kind;
+    this.readyState = 'live';
+  }
+
+  stop() {
+    this.readyState = 'ended';
+  }
+
+  async applyConstraints(constraints) {
+    this.constraints = { ...this.constraints, ...constraints };
+  }
+}
+
+export class FakeMediaStream {
+  constructor() {
+    this.tracks = [new FakeMediaStreamTrack()];
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter(t => t.kind === 'audio');
+  }
+}
+
+export const FAKE_INPUTS = [
+  { kind: 'audioinput',  deviceId: 'default', label: 'Default - Built-in Microphone', groupId: 'g1' },
+  { kind: 'audioinput',  deviceId: 'builtin', label: 'Built-in Microphone', groupId: 'g1' },
+  { kind: 'audioinput',  deviceId: 'headset', label: 'USB Headset', groupId: 'g2' },
+  { kind: 'audiooutput', deviceId: 'speakers', label: 'Speakers', groupId: 'g1' },
+];
+
+// `deny` makes getUserMedia reject like a blocked permission prompt. Asking for an `exact`
+// device that isn't in `inputs` fails with OverconstrainedError, like an unplugged headset.
+// hold() keeps getUserMedia pending, like an unanswered permission prompt, until release().
+export const createFakeMediaDevices = ({ deny = false, inputs = FAKE_INPUTS } = {}) => {
+  const devices = {
+    streams: [],
+    deny,
+    inputs,
+    held: null,
+    hold() {
+      devices.held = new Promise(resolve => { devices.release = resolve; });
+    },
+    async getUserMedia(constraints) {
+      await devices.held;
+      if (devices.deny) throw new DOMException('Permission denied', 'NotAllowedError');
+      const wanted = constraints.audio?.deviceId?.exact;
+      if (wanted && !devices.inputs.some(d => d.deviceId === wanted)) {
+        throw Object.assign(new Error('Requested device not found'), { name: 'OverconstrainedError' });
+      }
+      const stream = new FakeMediaStream();
+      stream.constraints = constraints;
+      stream.getAudioTracks()[0].constraints = constraints.audio;
+      devices.streams.push(stream);
+      return stream;
+    },
+    async enumerateDevices() {
+      return devices.inputs;
+    },
+    addEventListener() {},
+    removeEventListener() {},
+  };
+  return devices;
+};
+
+export class FakeMediaRecorder {
+  static instances = [];
+
+  static isTypeSupported() {
+    return true;
+  }
+
+  constructor(stream, options = {}) {
+    this.stream   = stream;
+    this.mimeType = options.mimeType || 'audio/webm';
+    this.state    = 'inactive';
+    this.ondataavailable = null;
+    this.onstop          = null;
+    FakeMediaRecorder.instances.push(this);
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  stop() {
+    if (this.state === 'inactive') return;
+    this.state = 'inactive';
+    setTimeout(() => {
+      this.ondataavailable?.({ data: new Blob(['fake audio'], { type: this.mimeType }) });
+      this.onstop?.();
+    }, 0);
+  }
+}
+
+// Analysers report `FakeAudioContext.level` as a constant RMS input level. Nodes are kept in
+// `nodes` and record their connections as `[target, output, input]` in `connections`.
+const fakeNode = (props = {}) => {
+  const node = {
+    ...props,
+    connections: [],
+    connect(target, output = 0, input = 0) { node.connections.push([target, output, input]); },
+    disconnect() { node.connections = []; },
+  };
+  return node;
+};
+
+export class FakeAudioContext {
+  static level = 0;
+  static instances = [];
+
+  constructor() {
+    this.state = 'running';
+    this.destination = fakeNode({ kind: 'speakers' });
+    this.nodes = [];
+    FakeAudioContext.instances.push(this);
+  }
+
+  track(node) {
+    this.nodes.push(node);
+    return node;
+  }
+
+  node(kind) {
+    return this.nodes.find(n => n.kind === kind);
+  }
+
+  async resume() {
+    this.state = 'running';
+  }
+
+  createAnalyser() {
+    return {
+      fftSize: 2048,
+      getFloatTimeDomainData(buffer) {
+        buffer.fill(FakeAudioContext.level);
+      },
+    };
+  }
+
+  createMediaStreamSource(stream) {
+    return this.track(fakeNode({ kind: 'stream-source', stream }));
+  }
+
+  createMediaElementSource(element) {
+    return this.track(fakeNode({ kind: 'element-source', element }));
+  }
+
+  createChannelMerger(inputs = 6) {
+    return this.track(fakeNode({ kind: 'merger', inputs }));
+  }
+
+  createMediaStreamDestination() {
+    return this.track(fakeNode({ kind: 'recording', stream: new FakeMediaStream() }));
+  }
+
+  async close() {
+    this.state = 'closed';
+  }
+}
@@ -0,0 +1,139 @@
+// Scriptable stand-ins for SpeechRecognition and speechSynthesis.
+//
+// Tests drive the caller's side through the recognizer the app created:
+//   const rec = FakeSpeechRecognition.latest();
+//   rec.say('I want to refinance');            // final result
+//   rec.say('I want', { interim: true });      // live caption only
+//   rec.fail('no-speech');                     // onerror + onend, like Chrome
+//   rec.endSpeech();                           // onspeechend, the caller went quiet
+// and inspect the agent's side through `synth.spoken`. By default every utterance finishes
+// on the next tick; set `synth.autoFinish = false` and call `synth.finish()` to hold the
+// agent mid-sentence (barge-in tests).
+
+export class FakeSpeechRecognition {
+  static instances = [];
+
+  static latest() {
+    return FakeSpeechRecognition.instances.at(-1);
+  }
+
+  constructor() {
+    this.continuous     = false;
+    this.interimResults = false;
+    this.lang           = '';
+    this.listening      = false;
+    this.starts         = 0;
+    this.onresult = null;
+    this.onend    = null;
+    this.onerror  = null;
+    this.onspeechend = null;
+    FakeSpeechRecognition.instances.push(this);
+  }
+
+  start() {
+    if (this.listening) throw new DOMException('recognition has already started', 'InvalidStateError');
+    this.listening = true;
+    this.starts++;
+  }
+
+  stop() {
+    if (!this.listening) return;
+    this.listening = false;
+    queueMicrotask(() => this.onend?.());
+  }
+
+  abort() {
+    this.stop();
+  }
+
+  say(text, { interim = false } = {}) {
+    if (!this.listening) throw new Error(`Recognizer is not listening, can't hear "${text}"`);
+    const result = Object.assign([{ transcript: text, confidence: 0.9 }], { isFinal: !interim });
+    this.onresult?.({ resultIndex: 0, results: [result] });
+  }
+
+  endSpeech() {
+    this.onspeechend?.({});
+  }
+
+  fail(error) {
+    this.listening = false;
+    this.onerror?.({ error });
+    this.onend?.();
+  }
+}
+
+export class FakeSpeechSynthesisUtterance {
+  constructor(text) {
+    this.text  = text;
+    this.lang  = '';
+    this.voice = null;
+    this.rate  = 1;
+    this.pitch = 1;
+    this.onstart    = null;
+    this.onend      = null;
+    this.onerror    = null;
+    this.onboundary = null;
+  }
+}
+
+export const FAKE_VOICES = [
+  { name: 'Google US English', lang: 'en-US', default: true },
+  { name: 'Google español',    lang: 'es-ES', default: false },
+  { name: 'Samantha',          lang: 'en-US', default: false },
+];
+
+export class FakeSpeechSynthesis {
+  constructor({ voices = FAKE_VOICES } = {}) {
+    this.voices     = voices;
+    this.spoken     = [];      // texts of every utterance that started
+    this.utterances = [];      // and the utterances themselves (voice, rate, ...)
+    this.queue      = [];
+    this.current    = null;
+    this.autoFinish = true;
+    this.onvoiceschanged = null;
+  }
+
+  get speaking() {
+    return Boolean(this.current);
+  }
+
+  getVoices() {
+    return this.voices;
+  }
+
+  speak(utterance) {
+    this.queue.push(utterance);
+    if (!this.current) this.next();
+  }
+
+  next() {
+    const utterance = this.queue.shift();
+    this.current = utterance || null;
+    if (!utterance) return;
+    this.spoken.push(utterance.text);
+    this.utterances.push(utterance);
+    utterance.onstart?.({});
+    if (this.autoFinish) setTimeout(() => this.finish(utterance), 0);
+  }
+
+  // Plays the current utterance to the end. `chars` stops it early at a word boundary instead
+  // (the utterance keeps playing until finish() or cancel()).
+  finish(utterance = this.current, { chars } = {}) {
+    if (!utterance || utterance !== this.current) return;
+    if (chars !== undefined) {
+      utterance.onboundary?.({ charIndex: 0, charLength: chars });
+      return;
+    }
+    utterance.onboundary?.({ charIndex: 0, charLength: utterance.text.length });
+    utterance.onend?.({});
+    this.next();
+  }
+
+  cancel() {
+    const dropped = [this.current, ...this.queue].filter(Boolean);
+    this.current = null;
+    this.queue   = [];
+    dropped.forEach(u => u.onerror?.({ error: 'interrupted' }));
+  }
+}
@@ -0,0 +1,98 @@
+// In-process mock of the voice agent backend, installed as `fetch`.
+//
+//   const backend = createMockBackend({ replies: [
+//     { assistant: 'Hi! How can I help?' },
+//     { assistant: 'Thanks, goodbye.', actions: [{ type: 'end_call' }] },
+//   ] });
+//   backend.fail('email', { status: 503 });       // every /api/email request
+//   backend.fail('chat', 'network', { times: 1 }); // only the next /api/chat request
+//
+// Chat replies are used in order, one per request (the last one repeats). Requests that ask
+// for a stream get SSE deltas, one per word. /api/transcribe answers every utterance with
+// `transcript`. Every request is recorded in `backend.requests`.
+
+import { vi } from 'vitest';
+
+const ROUTES = ['chat', 'summary', 'email', 'metrics', 'transcribe'];
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const sse = (text, final) => {
+  const events = text.split(/(?<= )/).map(delta => ({ delta }));
+  events.push({ done: true, ...final });
+  const body = events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n';
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+// FormData bodies become plain objects so tests can assert on them
+const readBody = (body) => {
+  if (typeof body === 'string') return JSON.parse(body);
+  if (body && typeof body.entries === 'function') return Object.fromEntries(body.entries());
+  return body ?? null;
+};
+
+export const createMockBackend = ({
+  replies = [{ assistant: 'Hello! How can I help you today?' }],
+  summary = 'Caller asked about a mortgage.',
+  transcript = 'I would like a mortgage.',
+} = {}) => {
+  const failures = Object.fromEntries(ROUTES.map(r => [r, []]));
+  let chatIndex = 0;
+
+  const backend = {
+    replies,
+    summary,
+    transcript,
+    requests: Object.fromEntries(ROUTES.map(r => [r, []])),
+
+    // `failure` is an HTTP status object `{ status, error }` or 'network'
+    fail(route, failure, { times = Infinity } = {}) {
+      failures[route].push({ failure, remaining: times });
+    },
+
+    reset(route) {
+      failures[route] = [];
+    },
+
+    async fetch(url, init = {}) {
+      const { pathname } = new URL(url, 'http://localhost');
+      const route = ROUTES.find(r => pathname === `/api/${r}`);
+      if (init.signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+      if (!route) return json({ error: 'not found' }, 404);
+
+      const request = { url, headers: { ...init.headers }, body: readBody(init.body) };
+      backend.requests[route].push(request);
+
+      const pending = failures[route].find(f => f.remaining > 0);
+      if (pending) {
+        pending.remaining--;
+        if (pending.failure === 'network') throw new TypeError('Failed to fetch');
+        return json({ error: pending.failure.error || 'mock failure' }, pending.failure.status);
+      }
+
+      switch (route) {
+        case 'chat': {
+          const reply = backend.replies[Math.min(chatIndex++, backend.replies.length - 1)];
+          const { assistant = '', actions = [] } = reply;
+          return request.body.stream ? sse(assistant, { actions }) : json({ assistant, actions });
+        }
+        case 'summary':
+          return json({ summary: backend.summary });
+        case 'transcribe':
+          return json({ transcript: backend.transcript });
+        default:
+          return json({ ok: true });
+      }
+    },
+  };
+
+  return backend;
+};
+
+// Creates a backend and installs it as the global fetch for the current test
+export const installMockBackend = (options) => {
+  const backend = createMockBackend(options);
+  vi.stubGlobal('fetch', (url, init) => backend.fetch(url, init));
+  return backend;
+};
@@ -0,0 +1,34 @@
+// Runs before every test file: browser API fakes, and a clean DOM, IndexedDB and localStorage.
+
+import 'fake-indexeddb/auto';
+import { afterEach, beforeEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { FakeSpeechRecognition, FakeSpeechSynthesis, FakeSpeechSynthesisUtterance } from './fakeSpeech';
+import { FakeAudioContext, FakeMediaRecorder, createFakeMediaDevices } from './fakeMedia';
+import { CALLS_STORE, OUTBOX_STORE, withStore } from '../storage/db';
+
+beforeEach(() => {
+  FakeSpeechRecognition.instances = [];
+  FakeMediaRecorder.instances = [];
+  FakeAudioContext.instances = [];
+  FakeAudioContext.level = 0;
+
+  vi.stubGlobal('SpeechRecognition', FakeSpeechRecognition);
+  vi.stubGlobal('speechSynthesis', new FakeSpeechSynthesis());
+  vi.stubGlobal('SpeechSynthesisUtterance', FakeSpeechSynthesisUtterance);
+  vi.stubGlobal('MediaRecorder', FakeMediaRecorder);
+  vi.stubGlobal('AudioContext', FakeAudioContext);
+  Object.defineProperty(navigator, 'mediaDevices', { value: createFakeMediaDevices(), configurable: true });
+
+  // jsdom has no object URLs
+  URL.createObjectURL = vi.fn(() => 'blob:fake');
+  URL.revokeObjectURL = vi.fn();
+});
+
+afterEach(async () => {
+  cleanup();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  localStorage.clear();
+  await Promise.all([CALLS_STORE, OUTBOX_STORE].map(name => withStore(name, 'readwrite', store => store.clear())));
+});